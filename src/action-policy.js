@@ -0,0 +1,196 @@
+import { assert } from './util'
+
+const CONCURRENCY = ['latest', 'first', 'queue', 'parallel']
+
+/**
+ * Create the runner of an object-style action which declares `concurrency`,
+ * `debounce` or `throttle`. Returns null when the action declares none of them.
+ * The runner has the signature (payload, signal, invoke) and returns a Promise,
+ * `invoke(payload, signal)` runs the action handlers once.
+ * `previous` is returned as is when it was created from the same declaration,
+ * so in-flight calls, timers and pending results survive a store reset.
+ * @param {String} type
+ * @param {Object|Function} action
+ * @param {Function} [previous]
+ * @return {Function|null}
+ */
+export function createActionPolicy (type, action, previous) {
+  if (typeof action === 'function') {
+    return null
+  }
+  const { concurrency = 'parallel', debounce, throttle } = action
+  if (concurrency === 'parallel' && !debounce && !throttle) {
+    return null
+  }
+  const key = `${concurrency}|${debounce || 0}|${throttle || 0}`
+  if (previous && previous.key === key) {
+    return previous
+  }
+  if (__DEV__) {
+    assert(
+      CONCURRENCY.indexOf(concurrency) > -1,
+      `action "${type}" has an invalid concurrency "${concurrency}", expected one of ${CONCURRENCY.join(', ')}.`
+    )
+  }
+
+  let run = createConcurrency(concurrency)
+  if (debounce) {
+    run = createDebounce(run, debounce)
+  }
+  if (throttle) {
+    run = createThrottle(run, throttle)
+  }
+  run.key = key
+  return run
+}
+
+/**
+ * Run an action with the `retry: { attempts, backoff, retryIf }` policy.
+ * `backoff` is the delay in ms before each retry, or a function of the attempt number.
+ * `onRetry(error, attempt)` is called before every retry.
+ * @param {Object} retry
+ * @param {Function} run
+ * @param {AbortSignal} [signal]
+ * @param {Function} onRetry
+ * @return {Promise}
+ */
+export function retryAction (retry, run, signal, onRetry) {
+  const { attempts = 3, backoff = 0, retryIf = () => true } = retry
+  // handler同步抛出的错误同样会被重试
+  const attempt = n => new Promise(resolve => resolve(run())).catch(error => {
+    if (n >= attempts || (signal && signal.aborted) || !retryIf(error, n)) {
+      throw error
+    }
+    onRetry(error, n + 1)
+    const ms = typeof backoff === 'function' ? backoff(n) : backoff
+    return delay(ms, signal).then(() => attempt(n + 1))
+  })
+  return attempt(1)
+}
+
+function createConcurrency (concurrency) {
+  // 当前正在执行的action
+  let pending = null
+  let controller = null
+
+  switch (concurrency) {
+    // 新的调用会取消上一次仍在执行的调用
+    case 'latest':
+      return (payload, signal, invoke) => {
+        if (controller) {
+          controller.abort()
+        }
+        const current = controller = linkSignal(signal)
+        return attempt(() => invoke(payload, current.signal)).finally(() => {
+          if (controller === current) {
+            controller = null
+          }
+        })
+      }
+    // 有调用在执行时,新的调用直接复用它的结果
+    case 'first':
+      return (payload, signal, invoke) => {
+        if (!pending) {
+          const current = pending = attempt(() => invoke(payload, signal)).finally(() => {
+            if (pending === current) {
+              pending = null
+            }
+          })
+        }
+        return pending
+      }
+    // 按调用顺序依次执行
+    case 'queue':
+      return (payload, signal, invoke) => {
+        const next = (pending || Promise.resolve()).then(
+          () => invoke(payload, signal),
+          () => invoke(payload, signal)
+        )
+        pending = next.catch(() => {})
+        return next
+      }
+    default:
+      return (payload, signal, invoke) => attempt(() => invoke(payload, signal))
+  }
+}
+
+// 在wait毫秒内没有新的调用才执行,期间所有调用共享最后一次调用的结果
+function createDebounce (run, wait) {
+  let timer = null
+  let deferred = null
+  let latest = null
+
+  return (payload, signal, invoke) => {
+    latest = { payload, signal, invoke }
+    if (timer) {
+      clearTimeout(timer)
+    }
+    if (!deferred) {
+      deferred = {}
+      deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve
+        deferred.reject = reject
+      })
+    }
+    const current = deferred
+    timer = setTimeout(() => {
+      timer = null
+      deferred = null
+      // handler同步抛出的错误同样会reject所有共享这次调用的Promise
+      attempt(() => run(latest.payload, latest.signal, latest.invoke)).then(current.resolve, current.reject)
+    }, wait)
+    return current.promise
+  }
+}
+
+// 每wait毫秒内最多执行一次,期间的调用共享上一次执行的结果
+function createThrottle (run, wait) {
+  let last = 0
+  let result = null
+
+  return (payload, signal, invoke) => {
+    const now = Date.now()
+    if (!result || now - last >= wait) {
+      last = now
+      result = attempt(() => run(payload, signal, invoke))
+    }
+    return result
+  }
+}
+
+// 执行fn并总是返回Promise,fn同步抛出的错误转为rejection
+function attempt (fn) {
+  return new Promise(resolve => resolve(fn()))
+}
+
+// 等待ms毫秒,signal被取消时提前reject
+function delay (ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+    }
+  })
+}
+
+// 创建一个AbortController,调用方的signal被取消时同步取消
+function linkSignal (signal) {
+  const controller = new AbortController()
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason)
+    } else {
+      signal.addEventListener('abort', () => controller.abort(signal.reason))
+    }
+  }
+  return controller
+}
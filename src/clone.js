@@ -0,0 +1,106 @@
+import { toRaw } from 'vue'
+
+/**
+ * Deep clone the given value.
+ * - Circular and shared references are tracked by identity through a WeakMap,
+ *   so the copy keeps the same shape and cloning stays linear in the object count.
+ * - Date, RegExp, Map, Set, ArrayBuffer and typed arrays are cloned as their own type,
+ *   other objects keep their prototype.
+ * - `cloners` is a list of { test(value), clone(value, cloneChild) } for custom classes.
+ * - With `skipRaw`, objects marked by Vue's markRaw are kept by reference.
+ *
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cloners]
+ * @param {Boolean} [options.skipRaw]
+ * @return {*}
+ */
+export function clone (value, { cloners = [], skipRaw = false } = {}) {
+  const seen = new WeakMap()
+
+  const cloneValue = value => {
+    if (value === null || typeof value !== 'object') {
+      return value
+    }
+    // 读取响应式代理的原始对象,避免依赖收集的开销
+    value = toRaw(value)
+    if (skipRaw && value.__v_skip) {
+      return value
+    }
+    if (seen.has(value)) {
+      return seen.get(value)
+    }
+
+    for (let i = 0; i < cloners.length; i++) {
+      if (cloners[i].test(value)) {
+        const copy = cloners[i].clone(value, cloneValue)
+        seen.set(value, copy)
+        return copy
+      }
+    }
+
+    return cloneBuiltin(value, seen, cloneValue)
+  }
+
+  return cloneValue(value)
+}
+
+// 内置类型的拷贝,拷贝对象需要先放入seen再递归,以便处理循环引用
+function cloneBuiltin (value, seen, cloneValue) {
+  let copy
+
+  if (value instanceof Date) {
+    copy = new Date(value.getTime())
+    seen.set(value, copy)
+    return copy
+  }
+
+  if (value instanceof RegExp) {
+    copy = new RegExp(value.source, value.flags)
+    copy.lastIndex = value.lastIndex
+    seen.set(value, copy)
+    return copy
+  }
+
+  if (value instanceof ArrayBuffer) {
+    copy = value.slice(0)
+    seen.set(value, copy)
+    return copy
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    const buffer = cloneValue(value.buffer)
+    copy = value instanceof DataView
+      ? new DataView(buffer, value.byteOffset, value.byteLength)
+      : new value.constructor(buffer, value.byteOffset, value.length)
+    seen.set(value, copy)
+    return copy
+  }
+
+  if (value instanceof Map) {
+    copy = new Map()
+    seen.set(value, copy)
+    value.forEach((val, key) => {
+      copy.set(cloneValue(key), cloneValue(val))
+    })
+    return copy
+  }
+
+  if (value instanceof Set) {
+    copy = new Set()
+    seen.set(value, copy)
+    value.forEach(val => {
+      copy.add(cloneValue(val))
+    })
+    return copy
+  }
+
+  copy = Array.isArray(value)
+    ? new Array(value.length)
+    : Object.create(Object.getPrototypeOf(value))
+  seen.set(value, copy)
+  Object.keys(value).forEach(key => {
+    copy[key] = cloneValue(value[key])
+  })
+  return copy
+}
@@ -1,3 +1,5 @@
+import { computed } from 'vue'
+import { useStore } from './injectKey'
 import { isObject } from './util'
 
 /**
@@ -124,6 +126,26 @@ export const mapActions = normalizeNamespace((namespace, actions) => {
   return res
 })
 
+/**
+ * Reduce the code which written in Vue.js for reading the status of actions
+ * @param {String} [namespace] - Module's namespace
+ * @param {Object|Array} actions
+ * @return {Object} computed properties returning { pending, loading, error, resolvedAt }
+ */
+export const mapActionStatus = normalizeNamespace((namespace, actions) => {
+  const res = {}
+  if (__DEV__ && !isValidMap(actions)) {
+    console.error('[vuex] mapActionStatus: mapper parameter must be either an Array or an Object')
+  }
+  normalizeMap(actions).forEach(({ key, val }) => {
+    const type = namespace + val
+    res[key] = function mappedActionStatus () {
+      return this.$store.actionStatus(type)
+    }
+  })
+  return res
+})
+
 /**
  * Rebinding namespace param for mapXXX function in special scoped, and return them by simple object
  * @param {String} namespace
@@ -133,7 +155,158 @@ export const createNamespacedHelpers = (namespace) => ({
   mapState: mapState.bind(null, namespace),
   mapGetters: mapGetters.bind(null, namespace),
   mapMutations: mapMutations.bind(null, namespace),
-  mapActions: mapActions.bind(null, namespace)
+  mapActions: mapActions.bind(null, namespace),
+  mapActionStatus: mapActionStatus.bind(null, namespace)
+})
+
+/**
+ * Composition API counterpart of mapState, to be called inside setup().
+ * @param {String} [namespace] - Module's namespace
+ * @param {Object|Array} states # Object's item can be a function which accept state and getters for param.
+ * @return {Object} computed refs
+ */
+export const useState = normalizeNamespace((namespace, states) => {
+  const store = useStore()
+  const res = {}
+  if (__DEV__ && !isValidMap(states)) {
+    console.error('[vuex] useState: mapper parameter must be either an Array or an Object')
+  }
+  normalizeMap(states).forEach(({ key, val }) => {
+    res[key] = computed(() => {
+      let state = store.state
+      let getters = store.getters
+      if (namespace) {
+        const module = getModuleByNamespace(store, 'useState', namespace)
+        if (!module) {
+          return
+        }
+        state = module.context.state
+        getters = module.context.getters
+      }
+      return typeof val === 'function'
+        ? val(state, getters)
+        : state[val]
+    })
+  })
+  return res
+})
+
+/**
+ * Composition API counterpart of mapGetters, to be called inside setup().
+ * @param {String} [namespace] - Module's namespace
+ * @param {Object|Array} getters
+ * @return {Object} computed refs
+ */
+export const useGetters = normalizeNamespace((namespace, getters) => {
+  const store = useStore()
+  const res = {}
+  if (__DEV__ && !isValidMap(getters)) {
+    console.error('[vuex] useGetters: mapper parameter must be either an Array or an Object')
+  }
+  normalizeMap(getters).forEach(({ key, val }) => {
+    // The namespace has been mutated by normalizeNamespace
+    val = namespace + val
+    res[key] = computed(() => {
+      if (namespace && !getModuleByNamespace(store, 'useGetters', namespace)) {
+        return
+      }
+      if (__DEV__ && !(val in store.getters)) {
+        console.error(`[vuex] unknown getter: ${val}`)
+        return
+      }
+      return store.getters[val]
+    })
+  })
+  return res
+})
+
+/**
+ * Composition API counterpart of mapMutations, to be called inside setup().
+ * @param {String} [namespace] - Module's namespace
+ * @param {Object|Array} mutations # Object's item can be a function which accept `commit` function as the first param.
+ * @return {Object}
+ */
+export const useMutations = normalizeNamespace((namespace, mutations) => {
+  const store = useStore()
+  const res = {}
+  if (__DEV__ && !isValidMap(mutations)) {
+    console.error('[vuex] useMutations: mapper parameter must be either an Array or an Object')
+  }
+  normalizeMap(mutations).forEach(({ key, val }) => {
+    res[key] = function mappedMutation (...args) {
+      let commit = store.commit
+      if (namespace) {
+        const module = getModuleByNamespace(store, 'useMutations', namespace)
+        if (!module) {
+          return
+        }
+        commit = module.context.commit
+      }
+      return typeof val === 'function'
+        ? val.apply(store, [commit].concat(args))
+        : commit.apply(store, [val].concat(args))
+    }
+  })
+  return res
+})
+
+/**
+ * Composition API counterpart of mapActions, to be called inside setup().
+ * @param {String} [namespace] - Module's namespace
+ * @param {Object|Array} actions # Object's item can be a function which accept `dispatch` function as the first param.
+ * @return {Object}
+ */
+export const useActions = normalizeNamespace((namespace, actions) => {
+  const store = useStore()
+  const res = {}
+  if (__DEV__ && !isValidMap(actions)) {
+    console.error('[vuex] useActions: mapper parameter must be either an Array or an Object')
+  }
+  normalizeMap(actions).forEach(({ key, val }) => {
+    res[key] = function mappedAction (...args) {
+      let dispatch = store.dispatch
+      if (namespace) {
+        const module = getModuleByNamespace(store, 'useActions', namespace)
+        if (!module) {
+          return
+        }
+        dispatch = module.context.dispatch
+      }
+      return typeof val === 'function'
+        ? val.apply(store, [dispatch].concat(args))
+        : dispatch.apply(store, [val].concat(args))
+    }
+  })
+  return res
+})
+
+/**
+ * Composition API counterpart of mapActionStatus, to be called inside setup().
+ * @param {String} [namespace] - Module's namespace
+ * @param {String} type - Action type, relative to the namespace when given
+ * @return {Object} reactive { pending, loading, error, resolvedAt }
+ */
+export function useActionStatus (namespace, type) {
+  if (type === undefined) {
+    type = namespace
+    namespace = ''
+  } else if (namespace.charAt(namespace.length - 1) !== '/') {
+    namespace += '/'
+  }
+  return useStore().actionStatus(namespace + type)
+}
+
+/**
+ * Rebinding namespace param for useXXX function, the composition counterpart of createNamespacedHelpers
+ * @param {String} namespace
+ * @return {Object}
+ */
+export const useNamespacedHelpers = (namespace) => ({
+  useState: useState.bind(null, namespace),
+  useGetters: useGetters.bind(null, namespace),
+  useMutations: useMutations.bind(null, namespace),
+  useActions: useActions.bind(null, namespace),
+  useActionStatus: useActionStatus.bind(null, namespace)
 })
 
 /**
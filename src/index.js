@@ -1,7 +1,26 @@
 import { Store, createStore } from './store'
 import { storeKey, useStore } from './injectKey'
-import { mapState, mapMutations, mapGetters, mapActions, createNamespacedHelpers } from './helpers'
+import {
+  mapState,
+  mapMutations,
+  mapGetters,
+  mapActions,
+  createNamespacedHelpers,
+  useState,
+  useGetters,
+  useMutations,
+  useActions,
+  useNamespacedHelpers,
+  mapActionStatus,
+  useActionStatus
+} from './helpers'
 import { createLogger } from './plugins/logger'
+import { createPersistedState, createWebStorage, createMemoryStorage } from './plugins/persisted-state'
+import { createHistory } from './plugins/history'
+import { createSyncPlugin } from './plugins/sync'
+import { clone } from './clone'
+import { createEntityModule } from './module/entity-module'
+import { createRecorder, createReplayer } from './plugins/recorder'
 
 export default {
   version: '__VERSION__',
@@ -14,7 +33,23 @@ export default {
   mapGetters,
   mapActions,
   createNamespacedHelpers,
-  createLogger
+  createLogger,
+  createPersistedState,
+  createWebStorage,
+  createMemoryStorage,
+  createHistory,
+  createSyncPlugin,
+  useState,
+  useGetters,
+  useMutations,
+  useActions,
+  useNamespacedHelpers,
+  clone,
+  createEntityModule,
+  mapActionStatus,
+  useActionStatus,
+  createRecorder,
+  createReplayer
 }
 
 export {
@@ -27,5 +62,21 @@ export {
   mapGetters,
   mapActions,
   createNamespacedHelpers,
-  createLogger
+  createLogger,
+  createPersistedState,
+  createWebStorage,
+  createMemoryStorage,
+  createHistory,
+  createSyncPlugin,
+  useState,
+  useGetters,
+  useMutations,
+  useActions,
+  useNamespacedHelpers,
+  clone,
+  createEntityModule,
+  mapActionStatus,
+  useActionStatus,
+  createRecorder,
+  createReplayer
 }
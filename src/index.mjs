@@ -12,7 +12,23 @@ const {
   mapGetters,
   mapActions,
   createNamespacedHelpers,
-  createLogger
+  createLogger,
+  createPersistedState,
+  createWebStorage,
+  createMemoryStorage,
+  createHistory,
+  createSyncPlugin,
+  useState,
+  useGetters,
+  useMutations,
+  useActions,
+  useNamespacedHelpers,
+  clone,
+  createEntityModule,
+  mapActionStatus,
+  useActionStatus,
+  createRecorder,
+  createReplayer
 } = Vuex
 
 export {
@@ -28,5 +44,21 @@ export {
   mapGetters,
   mapActions,
   createNamespacedHelpers,
-  createLogger
+  createLogger,
+  createPersistedState,
+  createWebStorage,
+  createMemoryStorage,
+  createHistory,
+  createSyncPlugin,
+  useState,
+  useGetters,
+  useMutations,
+  useActions,
+  useNamespacedHelpers,
+  clone,
+  createEntityModule,
+  mapActionStatus,
+  useActionStatus,
+  createRecorder,
+  createReplayer
 }
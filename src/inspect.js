@@ -0,0 +1,126 @@
+import { toRaw } from 'vue'
+import { isObject } from './util'
+
+/**
+ * Instrument a getter evaluation for `store.inspectGetter`. Returns the wrapped
+ * function, which counts recomputes and measures each run, and the debugger options
+ * for `computed`, which record the dependencies tracked during the latest run.
+ * Only used in development, `onTrack` is a no-op in production builds of Vue.
+ * @param {Store} store
+ * @param {String} type
+ * @param {Function} fn
+ * @return {Object} { run, options }
+ */
+export function instrumentGetter (store, type, fn) {
+  const stats = getGetterStats(store, type)
+  const run = () => {
+    stats.deps = []
+    stats.recomputes++
+    const start = now()
+    try {
+      return fn()
+    } finally {
+      stats.duration = now() - start
+      stats.lastRun = Date.now()
+    }
+  }
+  const options = {
+    onTrack: ({ target, key }) => {
+      stats.deps.push({ target, key })
+    }
+  }
+  return { run, options }
+}
+
+/**
+ * Remember which getter a computed belongs to, so that getters depending on it
+ * can report it by type.
+ * @param {Store} store
+ * @param {String} type
+ * @param {ComputedRef} ref
+ * @return {ComputedRef}
+ */
+export function registerGetterComputed (store, type, ref) {
+  store._getterComputeds.set(ref, type)
+  return ref
+}
+
+export function getGetterStats (store, type) {
+  return store._getterStats[type] || (store._getterStats[type] = {
+    deps: [],
+    recomputes: 0,
+    reads: 0,
+    lastRun: null,
+    duration: 0
+  })
+}
+
+/**
+ * Report the dependencies of the latest evaluation of a getter, as state paths
+ * and getter types, with its recompute and read counters.
+ * @param {Store} store
+ * @param {String} type
+ * @return {Object|null} null when the getter is not registered
+ */
+export function inspectGetter (store, type) {
+  if (!(type in store._wrappedGetters)) {
+    return null
+  }
+  const stats = getGetterStats(store, type)
+  const container = toRaw(store._state)
+  const paths = indexState(container.data)
+  const state = []
+  const getters = []
+
+  stats.deps.forEach(({ target, key }) => {
+    if (store._getterComputeds.has(target)) {
+      push(getters, store._getterComputeds.get(target))
+    } else if (target !== container && paths.has(target)) {
+      // symbol key表示遍历(keys、length等)依赖
+      push(state, paths.get(target).concat(typeof key === 'symbol' ? '*' : key).join('.'))
+    }
+  })
+
+  return {
+    type,
+    state,
+    getters,
+    recomputes: stats.recomputes,
+    reads: stats.reads,
+    lastRun: stats.lastRun,
+    duration: stats.duration
+  }
+}
+
+/**
+ * List the registered getters which have never been read.
+ * @param {Store} store
+ * @return {Array<String>}
+ */
+export function unusedGetters (store) {
+  return Object.keys(store._wrappedGetters).filter(type => {
+    return !store._getterStats[type] || !store._getterStats[type].reads
+  })
+}
+
+// 原始state对象到路径的映射,依赖记录的是响应式对象的原始对象
+function indexState (root) {
+  const paths = new Map()
+  const walk = (value, path) => {
+    if (!isObject(value) || paths.has(value)) return
+    paths.set(value, path)
+    Object.keys(value).forEach(key => walk(toRaw(value[key]), path.concat(key)))
+  }
+  walk(toRaw(root), [])
+  return paths
+}
+
+function push (list, item) {
+  if (list.indexOf(item) < 0) {
+    list.push(item)
+  }
+}
+
+function now () {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now()
+}
@@ -0,0 +1,105 @@
+import { assert } from '../util'
+
+// 创建以 ids/entities 形式规范化存储集合的 module,可以通过 modules 选项或 registerModule 注册
+// idKey: 实体的主键字段,或从实体中读取主键的函数
+// sortBy: 排序字段或比较函数,未指定时ids保持插入顺序
+// getters/mutations/actions: 追加到module上的自定义定义,同名时覆盖内置的定义
+export function createEntityModule ({
+  name = 'entity',
+  idKey = 'id',
+  sortBy,
+  namespaced = true,
+  getters = {},
+  mutations = {},
+  actions = {}
+} = {}) {
+  const selectId = typeof idKey === 'function' ? idKey : entity => entity[idKey]
+  const compare = typeof sortBy === 'function'
+    ? sortBy
+    : sortBy
+      ? (a, b) => a[sortBy] < b[sortBy] ? -1 : a[sortBy] > b[sortBy] ? 1 : 0
+      : null
+
+  const getId = entity => {
+    const id = selectId(entity)
+    if (__DEV__) {
+      assert(id !== undefined && id !== null, `${name}: entity is missing its id (idKey: ${typeof idKey === 'function' ? 'function' : idKey}).`)
+    }
+    return id
+  }
+
+  // 新增或合并实体,已存在的实体保留原对象以免丢失其他地方的引用
+  const upsert = (state, entity) => {
+    const id = getId(entity)
+    if (id in state.entities) {
+      Object.assign(state.entities[id], entity)
+    } else {
+      state.entities[id] = entity
+      state.ids.push(id)
+    }
+  }
+
+  const remove = (state, id) => {
+    if (!(id in state.entities)) return
+    delete state.entities[id]
+    // entities的key总是字符串,id可能是数字
+    state.ids.splice(state.ids.findIndex(item => String(item) === String(id)), 1)
+  }
+
+  const sort = state => {
+    if (compare) {
+      state.ids.sort((a, b) => compare(state.entities[a], state.entities[b]))
+    }
+  }
+
+  return {
+    namespaced,
+    state: () => ({
+      ids: [],
+      entities: {}
+    }),
+    getters: Object.assign({
+      all: state => state.ids.map(id => state.entities[id]),
+      byId: state => id => state.entities[id],
+      total: state => state.ids.length
+    }, getters),
+    mutations: Object.assign({
+      setAll (state, entities) {
+        state.ids = []
+        state.entities = {}
+        entities.forEach(entity => upsert(state, entity))
+        sort(state)
+      },
+      upsertOne (state, entity) {
+        upsert(state, entity)
+        sort(state)
+      },
+      upsertMany (state, entities) {
+        entities.forEach(entity => upsert(state, entity))
+        sort(state)
+      },
+      // 只更新已存在的实体: { id, changes }
+      updateOne (state, { id, changes }) {
+        if (!(id in state.entities)) {
+          if (__DEV__) {
+            console.warn(`[vuex] ${name}: cannot update missing entity "${id}".`)
+          }
+          return
+        }
+        Object.assign(state.entities[id], changes)
+        sort(state)
+      },
+      removeOne (state, id) {
+        remove(state, id)
+      },
+      removeMany (state, ids) {
+        ids.forEach(id => remove(state, id))
+      },
+      clear (state) {
+        state.ids = []
+        state.entities = {}
+      }
+    }, mutations),
+    actions
+  }
+}
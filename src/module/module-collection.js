@@ -21,8 +21,12 @@ export default class ModuleCollection {
     }, '')
   }
   // 热更新相关,会根据最新module配置,重新初始化store
-  update (rawRootModule) {
-    update([], this.root, rawRootModule)
+  // 返回新增与被移除的module路径(只包含最上层的路径),以及被移除的module实例
+  // replace为true时rawRootModule被视为完整的配置,缺失的handler与module会被移除
+  update (rawRootModule, replace = false) {
+    const changes = { added: [], removed: [], removedModules: [] }
+    update(this, [], this.root, rawRootModule, replace, changes)
+    return changes
   }
   // 递归注册每一个module
   register (path, rawModule, runtime = true) {
@@ -88,39 +92,45 @@ export default class ModuleCollection {
     return false
   }
 }
-// 递归更新module配置,如果加入了新的module,需要手动刷新,主要是热更新中使用
-function update (path, targetModule, newModule) {
+// 递归更新module配置,新增的module会被注册,replace时移除配置中已删除的module
+function update (collection, path, targetModule, newModule, replace, changes) {
   if (__DEV__) {
     assertRawModule(path, newModule)
   }
 
   // update target module
-  targetModule.update(newModule)
+  targetModule.update(newModule, replace)
 
-  // update nested modules
-  if (newModule.modules) {
-    for (const key in newModule.modules) {
-      if (!targetModule.getChild(key)) {
-        if (__DEV__) {
-          console.warn(
-            `[vuex] trying to add a new module '${key}' on hot reloading, ` +
-            'manual reload is needed'
-          )
-        }
-        return
+  const newChildren = newModule.modules || {}
+
+  // 通过registerModule动态注册的module不在配置中,不会被移除
+  if (replace) {
+    targetModule.forEachChild((child, key) => {
+      if (!child.runtime && !(key in newChildren)) {
+        targetModule.removeChild(key)
+        changes.removed.push(path.concat(key))
+        changes.removedModules.push(child)
       }
-      update(
-        path.concat(key),
-        targetModule.getChild(key),
-        newModule.modules[key]
-      )
-    }
+    })
   }
-}
 
-const functionAssert = {
-  assert: value => typeof value === 'function',
-  expected: 'function'
+  // update nested modules
+  forEachValue(newChildren, (rawChildModule, key) => {
+    const childPath = path.concat(key)
+    if (!targetModule.getChild(key)) {
+      collection.register(childPath, rawChildModule, false)
+      changes.added.push(childPath)
+      return
+    }
+    update(
+      collection,
+      childPath,
+      targetModule.getChild(key),
+      rawChildModule,
+      replace,
+      changes
+    )
+  })
 }
 
 const objectAssert = {
@@ -130,8 +140,8 @@ const objectAssert = {
 }
 
 const assertTypes = {
-  getters: functionAssert,
-  mutations: functionAssert,
+  getters: objectAssert,
+  mutations: objectAssert,
   actions: objectAssert
 }
 
@@ -1,4 +1,5 @@
 import { forEachValue } from '../util'
+import { clone } from '../clone'
 
 // Base data struct for store's module, package with some attribute and method
 export default class Module {
@@ -12,12 +13,38 @@ export default class Module {
 
     // Store the origin module's state
     this.state = (typeof rawState === 'function' ? rawState() : rawState) || {}
+    // 对象形式的state会被mutation直接修改,保存一份初始拷贝用于重置
+    this._initialState = typeof rawState === 'function' ? null : clone(this.state)
+    // 是否已执行过onRegister钩子,热更新重新安装module时不会再次执行
+    this._registered = false
+    // onRegister返回的清理函数,卸载时调用
+    this._disposers = []
+  }
+
+  // 根据module定义重新创建一份初始state(不包含子module的state)
+  createState () {
+    const rawState = this._rawModule.state
+    return typeof rawState === 'function'
+      ? rawState() || {}
+      : clone(this._initialState)
   }
 
   get namespaced () {
     return !!this._rawModule.namespaced
   }
 
+  get strict () {
+    return !!this._rawModule.strict
+  }
+
+  get onRegister () {
+    return this._rawModule.onRegister
+  }
+
+  get onUnregister () {
+    return this._rawModule.onUnregister
+  }
+
   addChild (key, module) {
     this._children[key] = module
   }
@@ -34,17 +61,32 @@ export default class Module {
     return key in this._children
   }
 
-  update (rawModule) {
+  // replace为true时rawModule被视为完整的定义,其中缺失的actions、mutations、getters会被移除
+  update (rawModule, replace = false) {
     this._rawModule.namespaced = rawModule.namespaced
-    if (rawModule.actions) {
+    if (rawModule.actions || replace) {
       this._rawModule.actions = rawModule.actions
     }
-    if (rawModule.mutations) {
+    if (rawModule.mutations || replace) {
       this._rawModule.mutations = rawModule.mutations
     }
-    if (rawModule.getters) {
+    if (rawModule.getters || replace) {
       this._rawModule.getters = rawModule.getters
     }
+    if ('strict' in rawModule || replace) {
+      this._rawModule.strict = rawModule.strict
+    }
+    // 新的钩子只在之后的注册与卸载中生效
+    if (rawModule.onRegister || replace) {
+      this._rawModule.onRegister = rawModule.onRegister
+    }
+    if (rawModule.onUnregister || replace) {
+      this._rawModule.onUnregister = rawModule.onUnregister
+    }
+    if (rawModule.state) {
+      this._rawModule.state = rawModule.state
+      this._initialState = typeof rawModule.state === 'function' ? null : clone(rawModule.state)
+    }
   }
 
   forEachChild (fn) {
@@ -1,5 +1,5 @@
 import { setupDevtoolsPlugin } from '@vue/devtools-api'
-import { makeLocalGetters } from '../store-util'
+import { makeLocalGetters, TRANSACTION_MUTATION } from '../store-util'
 
 const LABEL_VUEX_BINDINGS = 'vuex bindings'
 const MUTATIONS_LAYER_ID = 'vuex:mutations'
@@ -80,8 +80,13 @@ export function addDevtools (app, store) {
 
       store.subscribe((mutation, state) => {
         const data = {}
+        let title = mutation.type
 
-        if (mutation.payload) {
+        // 事务作为一个事件展示,payload为事务中提交的mutation列表
+        if (mutation.type === TRANSACTION_MUTATION) {
+          title = `transaction (${mutation.payload.length} mutations)`
+          data.mutations = mutation.payload
+        } else if (mutation.payload) {
           data.payload = mutation.payload
         }
 
@@ -95,7 +100,7 @@ export function addDevtools (app, store) {
           layerId: MUTATIONS_LAYER_ID,
           event: {
             time: Date.now(),
-            title: mutation.type,
+            title,
             data
           }
         })
@@ -148,6 +153,44 @@ export function addDevtools (app, store) {
               data
             }
           })
+        },
+        retry: (action, state, { error, attempt }) => {
+          const data = {}
+          if (action.payload) {
+            data.payload = action.payload
+          }
+          data.error = error
+          data.state = state
+
+          api.addTimelineEvent({
+            layerId: ACTIONS_LAYER_ID,
+            event: {
+              time: Date.now(),
+              title: action.type,
+              groupId: action._id,
+              subtitle: `retry #${attempt}`,
+              data
+            }
+          })
+        },
+        cancel: (action, state, reason) => {
+          const data = {}
+          if (action.payload) {
+            data.payload = action.payload
+          }
+          data.reason = reason
+          data.state = state
+
+          api.addTimelineEvent({
+            layerId: ACTIONS_LAYER_ID,
+            event: {
+              time: Date.now(),
+              title: action.type,
+              groupId: action._id,
+              subtitle: 'cancel',
+              data
+            }
+          })
         }
       })
     }
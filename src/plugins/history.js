@@ -0,0 +1,141 @@
+import { reactive } from 'vue'
+import { assert, getByPath, isEqual, isObject, isPromise, normalizePath } from '../util'
+import { clone } from '../clone'
+import { notifySubscribers } from '../store-util'
+
+export const UNDO_MUTATION = '@@vuex/undo'
+export const REDO_MUTATION = '@@vuex/redo'
+
+export function createHistory ({
+  paths,
+  maxDepth = 100,
+  exclude = []
+} = {}) {
+  const normalizedPaths = paths ? paths.map(normalizePath) : [[]]
+  const isExcluded = typeof exclude === 'function'
+    ? exclude
+    : mutation => exclude.indexOf(mutation.type) > -1
+
+  // 栈中保存的是被追踪的module state的拷贝,Date、Map、Set等类型会被保留
+  const undoStack = []
+  const redoStack = []
+  // 栈的长度需要是响应式的,以便canUndo/canRedo可以在computed中使用
+  const depth = reactive({ undo: 0, redo: 0 })
+  let store = null
+  let current = null
+  let grouping = 0
+
+  const snapshot = () => clone(normalizedPaths.map(path => getByPath(store.state, path)), { skipRaw: true })
+
+  const sync = () => {
+    depth.undo = undoStack.length
+    depth.redo = redoStack.length
+  }
+
+  const record = () => {
+    const next = snapshot()
+    // 没有修改被追踪的state(如提交到其他module的mutation)时不产生历史记录
+    if (isEqual(next, current)) return
+    undoStack.push(current)
+    if (undoStack.length > maxDepth) {
+      undoStack.splice(0, undoStack.length - maxDepth)
+    }
+    redoStack.length = 0
+    current = next
+    sync()
+  }
+
+  const travel = (from, to, type) => {
+    if (!from.length) return false
+    to.push(current)
+    current = from.pop()
+    // 写回的是快照的拷贝,之后的mutation不会修改栈中的快照
+    restore(store, normalizedPaths, clone(current))
+    sync()
+    notifySubscribers(store, { type, payload: { paths: normalizedPaths } })
+    return true
+  }
+
+  const plugin = s => {
+    if (__DEV__) {
+      assert(!store, 'a history plugin instance can only be used by one store.')
+    }
+    store = s
+    current = snapshot()
+    store.subscribe(mutation => {
+      if (mutation.type === UNDO_MUTATION || mutation.type === REDO_MUTATION) return
+      // 分组中保留分组开始时的基准快照(被排除的mutation也不更新),否则分组之前的修改无法撤销
+      if (grouping) return
+      if (isExcluded(mutation)) {
+        // 被排除的mutation只更新基准快照,不产生新的历史记录
+        current = snapshot()
+      } else {
+        record()
+      }
+    })
+  }
+
+  plugin.undo = () => travel(undoStack, redoStack, UNDO_MUTATION)
+  plugin.redo = () => travel(redoStack, undoStack, REDO_MUTATION)
+
+  // 将fn中提交的所有mutation合并为一条历史记录,fn返回Promise时在其settle后结束分组
+  plugin.group = fn => {
+    grouping++
+    let res
+    try {
+      res = fn()
+    } catch (e) {
+      endGroup()
+      throw e
+    }
+    if (isPromise(res)) {
+      return res.then(val => {
+        endGroup()
+        return val
+      }, err => {
+        endGroup()
+        throw err
+      })
+    }
+    endGroup()
+    return res
+  }
+
+  plugin.clear = () => {
+    undoStack.length = 0
+    redoStack.length = 0
+    sync()
+  }
+
+  Object.defineProperties(plugin, {
+    canUndo: { get: () => depth.undo > 0 },
+    canRedo: { get: () => depth.redo > 0 }
+  })
+
+  function endGroup () {
+    if (--grouping === 0) {
+      record()
+    }
+  }
+
+  return plugin
+}
+
+// 将快照写回各个被追踪的path,未注册的module会被跳过
+function restore (store, paths, values) {
+  store._withCommit(() => {
+    paths.forEach((path, i) => {
+      const value = values[i]
+      if (value === null || value === undefined) return
+      if (path.length === 0) {
+        store._state.data = value
+        return
+      }
+      const parent = getByPath(store.state, path.slice(0, -1))
+      const key = path[path.length - 1]
+      if (isObject(parent) && key in parent) {
+        parent[key] = value
+      }
+    })
+  })
+}
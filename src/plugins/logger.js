@@ -1,6 +1,11 @@
 // Credits: borrowed code from fcomb/redux-logger
 
-import { deepCopy } from '../util'
+import { toRaw } from 'vue'
+import { isObject, normalizePath } from '../util'
+import { clone } from '../clone'
+import { serializeState } from '../serialize'
+
+const REDACTED = '[REDACTED]'
 
 export function createLogger ({
   collapsed = true,
@@ -11,29 +16,55 @@ export function createLogger ({
   actionTransformer = act => act,
   logMutations = true,
   logActions = true,
+  diff = false,
+  redact = [],
+  format = 'console',
   logger = console
 } = {}) {
   return store => {
-    let prevState = deepCopy(store.state)
-
     if (typeof logger === 'undefined') {
       return
     }
 
+    const patterns = redact.map(normalizePath)
+    const json = format === 'json'
+    // 每次mutation只拷贝一遍state,有redact路径时在拷贝的同时替换
+    const snapshot = state => patterns.length
+      ? redactValue(state, patterns)
+      : clone(state, { skipRaw: true })
+    let prevState = snapshot(store.state)
+
     if (logMutations) {
       store.subscribe((mutation, state) => {
-        const nextState = deepCopy(state)
+        const nextState = snapshot(state)
 
         if (filter(mutation, prevState, nextState)) {
-          const formattedTime = getFormattedTime()
-          const formattedMutation = mutationTransformer(mutation)
-          const message = `mutation ${mutation.type}${formattedTime}`
-
-          startMessage(logger, message, collapsed)
-          logger.log('%c prev state', 'color: #9E9E9E; font-weight: bold', transformer(prevState))
-          logger.log('%c mutation', 'color: #03A9F4; font-weight: bold', formattedMutation)
-          logger.log('%c next state', 'color: #4CAF50; font-weight: bold', transformer(nextState))
-          endMessage(logger)
+          const formattedMutation = mutationTransformer(redactPayload(mutation, patterns))
+          const changes = diff ? diffState(prevState, nextState) : null
+
+          if (json) {
+            const entry = { kind: 'mutation', type: mutation.type, time: new Date().toISOString(), mutation: formattedMutation }
+            if (diff) {
+              entry.diff = changes
+            } else {
+              entry.prevState = transformer(prevState)
+              entry.nextState = transformer(nextState)
+            }
+            logJSON(logger, entry, store._serializers)
+          } else {
+            const message = `mutation ${mutation.type}${getFormattedTime()}`
+
+            startMessage(logger, message, collapsed)
+            if (diff) {
+              logger.log('%c mutation', 'color: #03A9F4; font-weight: bold', formattedMutation)
+              logDiff(logger, changes)
+            } else {
+              logger.log('%c prev state', 'color: #9E9E9E; font-weight: bold', transformer(prevState))
+              logger.log('%c mutation', 'color: #03A9F4; font-weight: bold', formattedMutation)
+              logger.log('%c next state', 'color: #4CAF50; font-weight: bold', transformer(nextState))
+            }
+            endMessage(logger)
+          }
         }
 
         prevState = nextState
@@ -41,21 +72,180 @@ export function createLogger ({
     }
 
     if (logActions) {
-      store.subscribeAction((action, state) => {
-        if (actionFilter(action, state)) {
-          const formattedTime = getFormattedTime()
-          const formattedAction = actionTransformer(action)
-          const message = `action ${action.type}${formattedTime}`
+      // 记录action开始的时间,在action结束时输出耗时与结果
+      const startTimes = new WeakMap()
+      const logAction = (status, color, action, value) => {
+        if (!startTimes.has(action)) return
+        const duration = Date.now() - startTimes.get(action)
+        startTimes.delete(action)
+        const formattedAction = actionTransformer(redactPayload(action, patterns))
+
+        if (json) {
+          const entry = { kind: 'action', type: action.type, time: new Date().toISOString(), status, duration, action: formattedAction }
+          if (status !== 'resolved') {
+            entry.error = value instanceof Error ? { name: value.name, message: value.message } : value
+          }
+          logJSON(logger, entry, store._serializers)
+          return
+        }
+
+        const message = `action ${action.type} ${status} in ${duration}ms${getFormattedTime()}`
+        startMessage(logger, message, collapsed)
+        logger.log('%c action', 'color: #03A9F4; font-weight: bold', formattedAction)
+        if (status !== 'resolved') {
+          logger.log(`%c ${status === 'rejected' ? 'error' : 'reason'}`, `color: ${color}; font-weight: bold`, value)
+        }
+        endMessage(logger)
+      }
+
+      store.subscribeAction({
+        // action开始时即输出,一直没有结束的action同样可以看到
+        before: (action, state) => {
+          if (!actionFilter(action, state)) return
+          startTimes.set(action, Date.now())
+          const formattedAction = actionTransformer(redactPayload(action, patterns))
+
+          if (json) {
+            logJSON(logger, { kind: 'action', type: action.type, time: new Date().toISOString(), status: 'started', action: formattedAction }, store._serializers)
+            return
+          }
 
-          startMessage(logger, message, collapsed)
+          startMessage(logger, `action ${action.type}${getFormattedTime()}`, collapsed)
           logger.log('%c action', 'color: #03A9F4; font-weight: bold', formattedAction)
           endMessage(logger)
-        }
+        },
+        after: action => logAction('resolved', '#4CAF50', action),
+        error: (action, state, error) => logAction('rejected', '#F44336', action, error),
+        cancel: (action, state, reason) => logAction('cancelled', '#9E9E9E', action, reason)
       })
     }
   }
 }
 
+// 比较前后两份state,返回发生变化的路径,循环引用中已经比较过的对象不再重复比较
+function diffState (prev, next, path = [], changes = [], seen = new WeakSet()) {
+  if (prev === next || isSameBuiltin(prev, next)) {
+    return changes
+  }
+  if (isPlainObject(prev) && isPlainObject(next) && Array.isArray(prev) === Array.isArray(next)) {
+    if (seen.has(prev)) {
+      return changes
+    }
+    seen.add(prev)
+    Object.keys(prev).forEach(key => {
+      if (!(key in next)) {
+        changes.push({ kind: 'removed', path: path.concat(key).join('.'), prev: prev[key] })
+      }
+    })
+    Object.keys(next).forEach(key => {
+      if (!(key in prev)) {
+        changes.push({ kind: 'added', path: path.concat(key).join('.'), next: next[key] })
+      } else {
+        diffState(prev[key], next[key], path.concat(key), changes, seen)
+      }
+    })
+    return changes
+  }
+  changes.push({ kind: 'changed', path: path.join('.'), prev, next })
+  return changes
+}
+
+function logDiff (logger, changes) {
+  if (!changes.length) {
+    logger.log('%c no state changes', 'color: #9E9E9E; font-weight: bold')
+  }
+  changes.forEach(({ kind, path, prev, next }) => {
+    if (kind === 'added') {
+      logger.log(`%c + ${path}`, 'color: #4CAF50; font-weight: bold', next)
+    } else if (kind === 'removed') {
+      logger.log(`%c - ${path}`, 'color: #F44336; font-weight: bold', prev)
+    } else {
+      logger.log(`%c ~ ${path}`, 'color: #2196F3; font-weight: bold', prev, '→', next)
+    }
+  })
+}
+
+// 拷贝state并将匹配redact路径的值替换掉,路径中的 * 匹配任意一段key
+// seen记录已经拷贝过的对象,循环引用指向同一份拷贝
+function redactValue (value, patterns, path = [], seen = new WeakMap()) {
+  if (patterns.some(pattern => matchPath(pattern, path))) {
+    return REDACTED
+  }
+  value = toRaw(value)
+  if (isPlainObject(value) && !value.__v_skip) {
+    if (seen.has(value)) {
+      return seen.get(value)
+    }
+    const res = Array.isArray(value) ? [] : {}
+    seen.set(value, res)
+    Object.keys(value).forEach(key => {
+      res[key] = redactValue(value[key], patterns, path.concat(key), seen)
+    })
+    return res
+  }
+  return clone(value, { skipRaw: true })
+}
+
+// 按store的serializers编码,Map、Set等不会输出为{},循环引用等无法编码的值直接丢弃,不逐条警告
+// 编码失败(如自定义serializer抛出错误)时只输出日志的基本信息
+function logJSON (logger, entry, serializers) {
+  let line
+  try {
+    line = serializeState(entry, serializers, { warn: false })
+  } catch (e) {
+    if (__DEV__) {
+      console.warn('[vuex] logger failed to serialize the log entry: ')
+      console.error(e)
+    }
+    line = JSON.stringify({ kind: entry.kind, type: entry.type, time: entry.time, status: entry.status, unserializable: true })
+  }
+  logger.log(line)
+}
+
+// payload的结构与state无关,字段名与redact路径的最后一段相同即被替换,例如 'user.token' 会替换payload中的token字段
+function redactPayload (record, patterns) {
+  if (!patterns.length || !isObject(record.payload)) {
+    return record
+  }
+  const keys = patterns.map(pattern => pattern[pattern.length - 1])
+  return Object.assign({}, record, { payload: redactKeys(record.payload, keys) })
+}
+
+function redactKeys (value, keys) {
+  if (!isObject(value)) {
+    return value
+  }
+  const res = Array.isArray(value) ? [] : {}
+  Object.keys(value).forEach(key => {
+    res[key] = keys.indexOf(key) > -1 ? REDACTED : redactKeys(value[key], keys)
+  })
+  return res
+}
+
+function isPlainObject (value) {
+  if (!isObject(value)) {
+    return false
+  }
+  const proto = Object.getPrototypeOf(value)
+  return Array.isArray(value) || proto === Object.prototype || proto === null
+}
+
+// 拷贝得到的Date、Map、Set等与原值不是同一个对象,需要比较内容
+function isSameBuiltin (prev, next) {
+  if (prev instanceof Date && next instanceof Date) {
+    return prev.getTime() === next.getTime()
+  }
+  if ((prev instanceof Map && next instanceof Map) || (prev instanceof Set && next instanceof Set)) {
+    return JSON.stringify(Array.from(prev)) === JSON.stringify(Array.from(next))
+  }
+  return false
+}
+
+function matchPath (pattern, path) {
+  return pattern.length === path.length &&
+    pattern.every((key, i) => key === '*' || key === String(path[i]))
+}
+
 function startMessage (logger, message, collapsed) {
   const startMessage = collapsed
     ? logger.groupCollapsed
@@ -0,0 +1,210 @@
+import { getByPath, isObject, isPromise, normalizePath } from '../util'
+
+export function createPersistedState ({
+  key = 'vuex',
+  paths,
+  storage = getDefaultStorage(),
+  version = 0,
+  migrations = {},
+  throttle = 0,
+  filter = mutation => true,
+  serialize = JSON.stringify,
+  deserialize = JSON.parse,
+  rehydrated = store => {}
+} = {}) {
+  const normalizedPaths = paths ? paths.map(normalizePath) : [[]]
+
+  return store => {
+    // 已持久化的快照,用于恢复尚未注册的module
+    let saved = {}
+    let hydrated = false
+    let timer = null
+
+    const write = () => {
+      timer = null
+      const state = {}
+      normalizedPaths.forEach(path => {
+        const value = getByPath(store.state, path)
+        setIn(state, path, value !== undefined ? value : getByPath(saved, path))
+      })
+      handle(storage.setItem(key, serialize({ version, state })))
+    }
+
+    const schedule = () => {
+      if (!hydrated) return
+      if (throttle > 0) {
+        if (!timer) {
+          timer = setTimeout(write, throttle)
+        }
+      } else {
+        write()
+      }
+    }
+
+    const restore = raw => {
+      if (raw) {
+        try {
+          saved = migrate(deserialize(raw), version, migrations)
+        } catch (e) {
+          if (__DEV__) {
+            console.error(`[vuex] failed to restore persisted state "${key}": `, e)
+          }
+        }
+        normalizedPaths.forEach(path => restorePath(store, saved, path))
+      }
+      hydrated = true
+      rehydrated(store)
+    }
+
+    const raw = storage.getItem(key)
+    if (isPromise(raw)) {
+      handle(raw.then(restore))
+    } else {
+      restore(raw)
+    }
+
+    store.subscribe((mutation, state) => {
+      if (filter(mutation)) {
+        schedule()
+      }
+    })
+
+    store.subscribeModule({
+      register: path => {
+        normalizedPaths.forEach(target => {
+          if (startsWith(target, path)) {
+            restorePath(store, saved, target)
+          } else if (startsWith(path, target)) {
+            restorePath(store, saved, path)
+          }
+        })
+        schedule()
+      },
+      unregister: path => {
+        if (normalizedPaths.some(target => startsWith(target, path) || startsWith(path, target))) {
+          deleteIn(saved, path)
+          schedule()
+        }
+      }
+    })
+  }
+}
+
+/**
+ * Storage adapter for the Web Storage API (localStorage, sessionStorage).
+ * @param {Storage} storage
+ * @return {Object}
+ */
+export function createWebStorage (storage) {
+  return {
+    getItem: key => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: key => storage.removeItem(key)
+  }
+}
+
+/**
+ * In-memory storage adapter, useful for SSR and tests.
+ * @return {Object}
+ */
+export function createMemoryStorage () {
+  const items = Object.create(null)
+  return {
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => { items[key] = value },
+    removeItem: key => { delete items[key] }
+  }
+}
+
+function getDefaultStorage () {
+  try {
+    return createWebStorage(window.localStorage)
+  } catch (e) {
+    return createMemoryStorage()
+  }
+}
+
+// 按版本号依次执行迁移函数,旧快照没有version时视为0
+function migrate (snapshot, version, migrations) {
+  let state = snapshot && snapshot.state
+  let current = (snapshot && snapshot.version) || 0
+  if (!isObject(state)) {
+    return {}
+  }
+  Object.keys(migrations)
+    .map(Number)
+    .filter(v => v > current && v <= version)
+    .sort((a, b) => a - b)
+    .forEach(v => {
+      state = migrations[v](state)
+      current = v
+    })
+  return state
+}
+
+// 将快照中path下的数据合并进store,module尚未注册时跳过
+function restorePath (store, saved, path) {
+  const value = getByPath(saved, path)
+  if (value === undefined) return
+  if (path.length === 0) {
+    store._withCommit(() => merge(store.state, value))
+    return
+  }
+  const parent = getByPath(store.state, path.slice(0, -1))
+  const key = path[path.length - 1]
+  if (!isObject(parent) || !(key in parent)) return
+  store._withCommit(() => {
+    if (isPlainObject(parent[key]) && isPlainObject(value)) {
+      merge(parent[key], value)
+    } else {
+      parent[key] = value
+    }
+  })
+}
+
+function merge (target, source) {
+  Object.keys(source).forEach(key => {
+    if (isPlainObject(target[key]) && isPlainObject(source[key])) {
+      merge(target[key], source[key])
+    } else {
+      target[key] = source[key]
+    }
+  })
+}
+
+function startsWith (path, prefix) {
+  return prefix.every((key, i) => path[i] === key)
+}
+
+function setIn (obj, path, value) {
+  if (value === undefined) return
+  if (path.length === 0) {
+    Object.assign(obj, value)
+    return
+  }
+  const parent = path.slice(0, -1).reduce((target, key) => {
+    return isObject(target[key]) ? target[key] : (target[key] = {})
+  }, obj)
+  parent[path[path.length - 1]] = value
+}
+
+function deleteIn (obj, path) {
+  const parent = getByPath(obj, path.slice(0, -1))
+  if (isObject(parent)) {
+    delete parent[path[path.length - 1]]
+  }
+}
+
+function isPlainObject (obj) {
+  return isObject(obj) && !Array.isArray(obj)
+}
+
+function handle (result) {
+  if (isPromise(result)) {
+    result.catch(e => {
+      if (__DEV__) {
+        console.error('[vuex] persisted state storage error: ', e)
+      }
+    })
+  }
+}
@@ -0,0 +1,127 @@
+import { createStore } from '../store'
+import { clone } from '../clone'
+import { assert } from '../util'
+import { builtinSerializers, reviveState, serializeState } from '../serialize'
+import { RESET_MUTATION, TRANSACTION_MUTATION } from '../store-util'
+
+const RECORDING_VERSION = 1
+
+// 录制store:初始state以及之后按顺序提交的mutation(type、payload、时间、所在的action)
+// getRecording()/stringify()得到的录制结果可以通过createReplayer在新的store上重放
+export function createRecorder ({
+  filter = mutation => true
+} = {}) {
+  let store = null
+  let recording = null
+
+  const start = () => {
+    recording = {
+      version: RECORDING_VERSION,
+      startedAt: Date.now(),
+      state: clone(store.state, { skipRaw: true }),
+      mutations: []
+    }
+  }
+
+  const plugin = s => {
+    if (__DEV__) {
+      assert(!store, 'a recorder instance can only be used by one store.')
+    }
+    store = s
+    start()
+
+    store.subscribe(mutation => {
+      if (!filter(mutation)) return
+      // 通过action上下文的commit提交时记录该action,事务结束时的合并通知不属于任何action
+      const action = store._committingAction
+      recording.mutations.push({
+        type: mutation.type,
+        // 拷贝payload,避免之后对其的修改影响录制结果
+        payload: clone(mutation.payload, { skipRaw: true }),
+        timestamp: Date.now(),
+        action
+      })
+    })
+  }
+
+  // 可移植的录制结果,非JSON类型按store的serializers编码
+  plugin.getRecording = () => JSON.parse(plugin.stringify())
+
+  plugin.stringify = () => serializeState(recording, store._serializers)
+
+  // 以当前state作为初始state重新开始录制
+  plugin.clear = () => {
+    if (store) {
+      start()
+    }
+  }
+
+  return plugin
+}
+
+// 使用与录制时相同的store选项创建新的store,并按顺序重放录制的mutation
+// plugins: 重放时使用的插件,默认不使用选项中的插件,以免持久化、同步等插件产生副作用
+export function createReplayer (options, recording, { plugins = [] } = {}) {
+  const store = createStore(Object.assign({}, options, { plugins }))
+  const data = reviveState(recording, builtinSerializers.concat(options.serializers || []))
+
+  if (__DEV__) {
+    assert(data && data.version === RECORDING_VERSION, 'replayer expects the output of recorder.getRecording() or recorder.stringify().')
+  }
+
+  const mutations = data.mutations
+  let index = 0
+
+  const apply = mutation => {
+    if (mutation.type === TRANSACTION_MUTATION) {
+      store.transaction(() => mutation.payload.forEach(apply))
+    } else if (mutation.type === RESET_MUTATION) {
+      store.resetState(mutation.payload.path)
+    } else if (mutation.type.indexOf('@@') === 0) {
+      // 其他内部事件(如undo/redo)依赖插件的内部状态,无法重放
+      if (__DEV__) {
+        console.warn(`[vuex] replayer cannot replay the internal mutation "${mutation.type}", skipped.`)
+      }
+    } else {
+      store.commit(mutation.type, clone(mutation.payload))
+    }
+  }
+
+  const replayer = {
+    store,
+    mutations,
+
+    get index () {
+      return index
+    },
+
+    // 重放下一个mutation,已经全部重放时返回false
+    step () {
+      if (index >= mutations.length) {
+        return false
+      }
+      apply(mutations[index++])
+      return true
+    },
+
+    // 将store定位到重放了前i个mutation之后的状态,向前定位时从初始state重新重放
+    seek (i) {
+      i = Math.max(0, Math.min(i, mutations.length))
+      if (i < index) {
+        store.replaceState(clone(data.state))
+        index = 0
+      }
+      for (let n = index; n < i; n++) {
+        replayer.step()
+      }
+      return store
+    },
+
+    play () {
+      return replayer.seek(mutations.length)
+    }
+  }
+
+  store.replaceState(clone(data.state))
+  return replayer
+}
@@ -0,0 +1,253 @@
+import { getByPath, isObject, normalizePath } from '../util'
+import { TRANSACTION_MUTATION } from '../store-util'
+import { reviveState, serializeState } from '../serialize'
+
+// paths只能选择namespaced的module,未声明namespaced的module无法通过mutation type区分,不会被同步
+// heartbeat: 广播存活消息的间隔,超过三个间隔没有消息的实例视为已关闭,为0时不发送
+// timeout: 等待leader发送初始state的时间,超时后向仍然存活的最早实例重新请求
+export function createSyncPlugin ({
+  channel = 'vuex',
+  paths,
+  types,
+  transport = name => new BroadcastChannel(name),
+  heartbeat = 5000,
+  timeout = 1000
+} = {}) {
+  const normalizedPaths = paths ? paths.map(normalizePath) : null
+  const matchType = normalizeTypes(types)
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+  const born = Date.now()
+  // 其他store实例的创建时间与最近一次收到其消息的时间: { id: { born, seen } },最早创建的实例为leader
+  const peers = Object.create(null)
+  let store = null
+  let port = null
+  let replaying = false
+  let synced = false
+  let heartbeatTimer = null
+  let syncTimer = null
+  const warned = Object.create(null)
+
+  // 消息按store的serializers编码,Date、Map、Set等类型在其他实例中保持原类型
+  const post = message => {
+    port.postMessage(serializeState(Object.assign({ id, born }, message), store._serializers))
+  }
+
+  const seen = message => {
+    peers[message.id] = { born: message.born, seen: Date.now() }
+  }
+
+  // 创建时间相同时按id决定先后,所有实例得到的顺序一致
+  const isOlder = (aId, aBorn, bId, bBorn) => aBorn < bBorn || (aBorn === bBorn && aId < bId)
+
+  // exclude为发起请求的新实例,它不参与本次选举
+  const isLeader = exclude => Object.keys(peers).every(peer => {
+    return peer === exclude || isOlder(id, born, peer, peers[peer].born)
+  })
+
+  // 回应了本实例hello的实例一定仍然存活
+  const responded = Object.create(null)
+  const oldestResponder = () => Object.keys(peers).filter(peer => responded[peer]).reduce((oldest, peer) => {
+    return !oldest || isOlder(peer, peers[peer].born, oldest, peers[oldest].born) ? peer : oldest
+  }, null)
+
+  const sendState = to => {
+    post({ kind: 'state', to, state: snapshot(store, normalizedPaths) })
+  }
+
+  // 移除超过三个心跳间隔没有消息的实例(页面被强制关闭时不会发送bye)
+  const prune = () => {
+    if (!(heartbeat > 0)) return
+    const now = Date.now()
+    Object.keys(peers).forEach(peer => {
+      if (now - peers[peer].seen > heartbeat * 3) {
+        delete peers[peer]
+      }
+    })
+  }
+
+  const shouldSync = mutation => {
+    // 内部事件(如undo/redo)无法通过commit重放
+    if (mutation.type.indexOf('@@') === 0) return false
+    if (matchType && !matchType(mutation.type)) return false
+    if (normalizedPaths) {
+      return normalizedPaths.some(path => {
+        if (!store.hasModule(path)) return false
+        const namespace = store._modules.getNamespace(path)
+        if (namespace === '') {
+          warnNotNamespaced(path)
+          return false
+        }
+        return mutation.type.indexOf(namespace) === 0
+      })
+    }
+    return true
+  }
+
+  const replay = fn => {
+    replaying = true
+    try {
+      fn()
+    } finally {
+      replaying = false
+    }
+  }
+
+  const warnNotNamespaced = path => {
+    const key = path.join('/')
+    if (__DEV__ && !warned[key]) {
+      warned[key] = true
+      console.warn(`[vuex] sync plugin: module "${key}" is not namespaced, its mutations cannot be selected by path and will not be synced.`)
+    }
+  }
+
+  const receive = message => {
+    if (message.id === id) return
+    switch (message.kind) {
+      case 'hello':
+        seen(message)
+        post({ kind: 'here' })
+        prune()
+        if (isLeader(message.id)) {
+          sendState(message.id)
+        }
+        break
+      case 'here':
+        seen(message)
+        if (!synced) {
+          responded[message.id] = true
+        }
+        break
+      case 'bye':
+        delete peers[message.id]
+        break
+      // leader没有回应时,新实例直接向某个存活的实例请求state
+      case 'request':
+        seen(message)
+        if (message.to === id) {
+          sendState(message.id)
+        }
+        break
+      case 'state':
+        seen(message)
+        if (message.to === id && !synced) {
+          synced = true
+          clearTimeout(syncTimer)
+          replay(() => restore(store, normalizedPaths, message.state))
+        }
+        break
+      case 'mutations':
+        seen(message)
+        replay(() => {
+          const commit = () => message.mutations
+            .filter(mutation => store._mutations[mutation.type])
+            .forEach(mutation => store.commit(mutation.type, mutation.payload))
+          // 只有发送方在事务中提交时才以事务重放,单个mutation直接提交,订阅者看到的是原本的mutation
+          if (message.transaction) {
+            store.transaction(commit)
+          } else {
+            commit()
+          }
+        })
+        break
+    }
+  }
+
+  const plugin = s => {
+    store = s
+    port = transport(channel)
+    port.onmessage = event => receive(reviveState(event.data, store._serializers))
+
+    store.subscribe(mutation => {
+      if (replaying) return
+      // 事务中的mutation作为整体广播,在其他实例中同样以事务重放
+      const transaction = mutation.type === TRANSACTION_MUTATION
+      const mutations = (transaction ? mutation.payload : [mutation])
+        .filter(shouldSync)
+        .map(({ type, payload }) => payload === undefined ? { type } : { type, payload })
+      if (mutations.length) {
+        post({ kind: 'mutations', mutations, transaction })
+      }
+    })
+
+    post({ kind: 'hello' })
+
+    if (!synced) {
+      syncTimer = unref(setTimeout(() => {
+        const peer = oldestResponder()
+        if (!synced && peer) {
+          post({ kind: 'request', to: peer })
+        }
+      }, timeout))
+    }
+    if (heartbeat > 0) {
+      heartbeatTimer = unref(setInterval(() => {
+        prune()
+        post({ kind: 'here' })
+      }, heartbeat))
+    }
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('pagehide', plugin.close)
+    }
+  }
+
+  plugin.close = () => {
+    if (!port) return
+    clearTimeout(syncTimer)
+    clearInterval(heartbeatTimer)
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('pagehide', plugin.close)
+    }
+    post({ kind: 'bye' })
+    port.onmessage = null
+    if (typeof port.close === 'function') {
+      port.close()
+    }
+    port = null
+  }
+
+  Object.defineProperty(plugin, 'isLeader', {
+    get: () => !!port && isLeader()
+  })
+
+  return plugin
+}
+
+// Node中的定时器不应阻止进程退出
+function unref (timer) {
+  if (timer && typeof timer.unref === 'function') {
+    timer.unref()
+  }
+  return timer
+}
+
+function snapshot (store, paths) {
+  return paths
+    ? paths.map(path => getByPath(store.state, path))
+    : [store.state]
+}
+
+// 用leader发送的state覆盖本地被同步的module,未注册的module会被跳过
+function restore (store, paths, values) {
+  if (!paths) {
+    store.replaceState(values[0])
+    return
+  }
+  store._withCommit(() => {
+    paths.forEach((path, i) => {
+      const value = values[i]
+      if (value === null || value === undefined || path.length === 0) return
+      const parent = getByPath(store.state, path.slice(0, -1))
+      const key = path[path.length - 1]
+      if (isObject(parent) && key in parent) {
+        parent[key] = value
+      }
+    })
+  })
+}
+
+function normalizeTypes (types) {
+  if (!types) return null
+  if (typeof types === 'function') return types
+  if (types instanceof RegExp) return type => types.test(type)
+  return type => types.indexOf(type) > -1
+}
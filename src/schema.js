@@ -0,0 +1,93 @@
+import { isObject } from './util'
+
+/**
+ * Validate the payload of a mutation or action against its declared schema.
+ * The schema is either a validator function, which returns `false` or an error
+ * message for invalid payloads, or a subset of JSON Schema:
+ * type, enum, properties, required, additionalProperties, items,
+ * minimum, maximum, minLength, maxLength and pattern.
+ * @param {Function|Object} schema
+ * @param {*} payload
+ * @return {String|null} error message, null when the payload is valid
+ */
+export function validatePayload (schema, payload) {
+  if (typeof schema === 'function') {
+    const res = schema(payload)
+    if (res === false) {
+      return 'payload is invalid'
+    }
+    return typeof res === 'string' ? res : null
+  }
+  return validate(schema, payload, 'payload')
+}
+
+function validate (schema, value, path) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    const actual = typeOf(value)
+    const matched = types.some(type => type === actual || (type === 'integer' && Number.isInteger(value)))
+    if (!matched) {
+      return `${path} should be ${types.join(' or ')} but got ${actual}`
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(item => item === value)) {
+    return `${path} should be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} should be >= ${schema.minimum}`
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} should be <= ${schema.maximum}`
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${path} should have at least ${schema.minLength} characters`
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${path} should have at most ${schema.maxLength} characters`
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${path} should match ${schema.pattern}`
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validate(schema.items, value[i], `${path}[${i}]`)
+      if (error) return error
+    }
+  }
+
+  if (isObject(value) && !Array.isArray(value)) {
+    const properties = schema.properties || {}
+    const required = schema.required || []
+    for (let i = 0; i < required.length; i++) {
+      if (value[required[i]] === undefined) {
+        return `${path}.${required[i]} is required`
+      }
+    }
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      if (properties[key]) {
+        const error = validate(properties[key], value[key], `${path}.${key}`)
+        if (error) return error
+      } else if (schema.additionalProperties === false) {
+        return `${path}.${key} is not allowed`
+      }
+    }
+  }
+
+  return null
+}
+
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
@@ -0,0 +1,168 @@
+import { isObject } from './util'
+
+const TYPE_KEY = '__vuex_type'
+
+// 内置的非JSON类型,自定义类型可以通过 Store 的 serializers 选项追加
+export const builtinSerializers = [
+  {
+    name: 'Date',
+    test: value => value instanceof Date,
+    serialize: value => value.toISOString(),
+    revive: data => new Date(data)
+  },
+  {
+    name: 'Map',
+    test: value => value instanceof Map,
+    serialize: value => Array.from(value.entries()),
+    revive: data => new Map(data)
+  },
+  {
+    name: 'Set',
+    test: value => value instanceof Set,
+    serialize: value => Array.from(value.values()),
+    revive: data => new Set(data)
+  },
+  {
+    name: 'RegExp',
+    test: value => value instanceof RegExp,
+    serialize: value => [value.source, value.flags],
+    revive: data => new RegExp(data[0], data[1])
+  }
+]
+
+/**
+ * Serialize the state into a JSON string which is safe to inline into a <script> tag.
+ * Values matched by a serializer are encoded as { __vuex_type, value }.
+ * @param {*} state
+ * @param {Array<Object>} serializers
+ * @param {Object} [options]
+ * @param {Boolean} [options.warn] - Warn about dropped values in development, defaults to true
+ * @return {String}
+ */
+export function serializeState (state, serializers, { warn = true } = {}) {
+  const json = JSON.stringify(encode(state, serializers, [], [], warn))
+  return escapeJSON(json === undefined ? 'null' : json)
+}
+
+/**
+ * Revive the output of serializeState, accepts either the string or the parsed object.
+ * @param {String|Object} payload
+ * @param {Array<Object>} serializers
+ * @return {*}
+ */
+export function reviveState (payload, serializers) {
+  return revive(typeof payload === 'string' ? JSON.parse(payload) : payload, serializers)
+}
+
+function encode (value, serializers, path, seen, warn) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return value
+  }
+  if (typeof value === 'number') {
+    if (__DEV__ && warn && !isFinite(value)) {
+      warnNonSerializable(path, value)
+    }
+    return value
+  }
+  if (!isObject(value)) {
+    if (__DEV__ && warn) {
+      warnNonSerializable(path, value)
+    }
+    return undefined
+  }
+  if (seen.indexOf(value) > -1) {
+    if (__DEV__ && warn) {
+      warnNonSerializable(path, '[Circular]')
+    }
+    return undefined
+  }
+
+  const serializer = find(serializers, value)
+  if (serializer) {
+    seen.push(value)
+    const data = encode(serializer.serialize(value), serializers, path, seen, warn)
+    seen.pop()
+    return { [TYPE_KEY]: serializer.name, value: data }
+  }
+
+  const proto = Object.getPrototypeOf(value)
+  if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+    if (__DEV__ && warn) {
+      warnNonSerializable(path, value)
+    }
+    return undefined
+  }
+
+  seen.push(value)
+  let res
+  if (Array.isArray(value)) {
+    res = value.map((item, i) => {
+      const encoded = encode(item, serializers, path.concat(i), seen, warn)
+      return encoded === undefined ? null : encoded
+    })
+  } else {
+    res = {}
+    Object.keys(value).forEach(key => {
+      const encoded = encode(value[key], serializers, path.concat(key), seen, warn)
+      if (encoded !== undefined) {
+        res[key] = encoded
+      }
+    })
+  }
+  seen.pop()
+  return res
+}
+
+function revive (data, serializers) {
+  if (!isObject(data)) {
+    return data
+  }
+  if (Array.isArray(data)) {
+    return data.map(item => revive(item, serializers))
+  }
+  if (typeof data[TYPE_KEY] === 'string') {
+    const name = data[TYPE_KEY]
+    const serializer = serializers.filter(s => s.name === name)[0]
+    if (serializer) {
+      return serializer.revive(revive(data.value, serializers))
+    }
+    if (__DEV__) {
+      console.warn(`[vuex] no serializer named "${name}" is registered to revive the hydrated state.`)
+    }
+  }
+  const res = {}
+  Object.keys(data).forEach(key => {
+    res[key] = revive(data[key], serializers)
+  })
+  return res
+}
+
+function find (serializers, value) {
+  for (let i = serializers.length - 1; i >= 0; i--) {
+    if (serializers[i].test(value)) {
+      return serializers[i]
+    }
+  }
+}
+
+// 转义可能提前闭合<script>标签或在JS中非法的字符,转义后仍是合法的JSON
+function escapeJSON (json) {
+  return json
+    .replace(/</g, '\\u003C')
+    .replace(/>/g, '\\u003E')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+}
+
+function warnNonSerializable (path, value) {
+  const type = typeof value === 'function'
+    ? 'Function'
+    : typeof value === 'object' && value.constructor
+      ? value.constructor.name
+      : String(value)
+  console.warn(
+    `[vuex] non-serializable value (${type}) in state at "${path.length ? path.join('.') : '<root>'}", ` +
+    'register a serializer for it or keep it out of the state.'
+  )
+}
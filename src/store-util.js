@@ -1,5 +1,17 @@
-import { reactive, computed, watch, effectScope } from 'vue'
-import { forEachValue, isObject, isPromise, assert, partial } from './util'
+import { reactive, computed, effectScope, isProxy } from 'vue'
+import { forEachValue, getByPath, isObject, isPromise, assert, partial } from './util'
+import { createActionPolicy } from './action-policy'
+import { validatePayload } from './schema'
+import { getGetterStats, instrumentGetter, registerGetterComputed } from './inspect'
+
+// 事务结束后通知订阅者时使用的mutation type,payload为事务中提交的mutation列表
+export const TRANSACTION_MUTATION = '@@vuex/transaction'
+// store.resetState()后通知订阅者时使用的mutation type,payload为{ path }
+export const RESET_MUTATION = '@@vuex/reset'
+
+// 对象风格的commit/dispatch的payload包含type字段,校验schema时需要忽略
+// payload对象在命名空间转换、中间件之间保持不变,因此按对象记录
+const objectStylePayloads = __DEV__ ? new WeakSet() : null
 
 // 收集订阅
 export function genericSubscribe (fn, subs, options) {
@@ -16,15 +28,100 @@ export function genericSubscribe (fn, subs, options) {
   }
 }
 
+// 依次执行中间件,最后调用final完成真正的commit/dispatch
+export function applyMiddlewares (store, context, final) {
+  const middlewares = store._middlewares.slice()
+  context.store = store
+  const run = i => i < middlewares.length
+    ? middlewares[i](context, () => run(i + 1))
+    : final(context)
+  return run(0)
+}
+
+// 通知mutation订阅者
+export function notifySubscribers (store, mutation) {
+  store._subscribers
+    .slice() // shallow copy to prevent iterator invalidation if subscriber synchronously calls unsubscribe
+    .forEach(sub => sub(mutation, store.state))
+}
+
+// 通知action订阅者,hook为before、after、error或cancel
+// after时value为action的结果,error和cancel时为错误原因
+export function notifyActionSubscribers (store, hook, action, value) {
+  try {
+    store._actionSubscribers
+      .slice() // shallow copy to prevent iterator invalidation if subscriber synchronously calls unsubscribe
+      .filter(sub => sub[hook])
+      .forEach(sub => hook === 'before' || hook === 'after'
+        ? sub[hook](action, store.state)
+        : sub[hook](action, store.state, value))
+  } catch (e) {
+    if (__DEV__) {
+      console.warn(`[vuex] error in ${hook} action subscribers: `)
+      console.error(e)
+    }
+  }
+}
+
+// 记录执行中的action直到其Promise settle,全部完成时通知whenIdle的等待者
+export function trackPendingAction (store, action, promise) {
+  store._pendingActions.add(action)
+  const done = () => {
+    store._pendingActions.delete(action)
+    if (store._pendingActions.size) return
+    // 延迟到微任务中确认,action结束后在then回调中继续dispatch的情况不算空闲
+    Promise.resolve().then(() => {
+      if (store._pendingActions.size) return
+      const waiters = store._idleWaiters
+      store._idleWaiters = []
+      waiters.forEach(fn => fn())
+    })
+  }
+  promise.then(done, done)
+  return promise
+}
+
+// 获取AbortSignal的取消原因,旧环境中signal没有reason时手动创建AbortError
+export function getAbortReason (signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason
+  }
+  const error = new Error('[vuex] action was cancelled.')
+  error.name = 'AbortError'
+  return error
+}
+
+// 通知module订阅者,hook为register或unregister
+export function notifyModuleSubscribers (store, hook, path) {
+  try {
+    store._moduleSubscribers
+      .slice() // shallow copy to prevent iterator invalidation if subscriber synchronously calls unsubscribe
+      .filter(sub => sub[hook])
+      .forEach(sub => sub[hook](path, store))
+  } catch (e) {
+    if (__DEV__) {
+      console.warn(`[vuex] error in ${hook} module subscribers: `)
+      console.error(e)
+    }
+  }
+}
+
 // 重置更新整个store
 export function resetStore (store, hot) {
   store._actions = Object.create(null)
+  // 保留已有的并发策略实例,执行中的调用、定时器等状态不会因为重置而丢失
+  store._previousActionPolicies = store._actionPolicies
+  store._actionPolicies = Object.create(null)
+  store._actionRetries = Object.create(null)
   store._mutations = Object.create(null)
+  store._mutationSchemas = Object.create(null)
+  store._actionSchemas = Object.create(null)
   store._wrappedGetters = Object.create(null)
   store._modulesNamespaceMap = Object.create(null)
   const state = store.state
   // init all modules
   installModule(store, state, [], store._modules.root, true)
+  store._previousActionPolicies = null
   // reset state
   resetStoreState(store, state, hot, false)
 }
@@ -40,6 +137,8 @@ export function resetStoreState (store, state, hot, reserve = true) {
   store.getters = {}
   // reset local getters cache
   store._makeLocalGettersCache = Object.create(null)
+  // 带参数getter的缓存,随effect scope一起重建
+  store._memoizedGetters = Object.create(null)
   // _wrappedGetters保存module的getters
   const wrappedGetters = store._wrappedGetters
   // 保存每个getters方法
@@ -58,28 +157,50 @@ export function resetStoreState (store, state, hot, reserve = true) {
       // using partial to return function with only arguments preserved in closure environment.
       // 通过闭包每次获取最新的store
       computedObj[key] = partial(fn, store)
-      computedCache[key] = computed(() => computedObj[key]())
+      if (fn.memoize) {
+        store._memoizedGetters[key] = { scope, cache: new Map() }
+        computedCache[key] = { value: createMemoizedGetter(store, key) }
+      } else if (__DEV__) {
+        // 开发环境下记录getter的依赖与重新计算次数,供store.inspectGetter使用
+        const { run, options } = instrumentGetter(store, key, () => computedObj[key]())
+        computedCache[key] = registerGetterComputed(store, key, computed(run, options))
+      } else {
+        computedCache[key] = computed(() => computedObj[key]())
+      }
       // store.getters是给外部通过store直接调用getters的
       Object.defineProperty(store.getters, key, {
-        get: () => computedCache[key].value,
+        get: __DEV__
+          ? () => {
+              getGetterStats(store, key).reads++
+              return computedCache[key].value
+            }
+          : () => computedCache[key].value,
         enumerable: true // for local getters
       })
     })
   })
 
-  store._state = reactive({
-    data: state
-  })
+  if (__DEV__) {
+    // 移除已卸载的getter的统计
+    Object.keys(store._getterStats).forEach(type => {
+      if (!(type in wrappedGetters)) {
+        delete store._getterStats[type]
+      }
+    })
+  }
+
+  // 严格模式下state由Proxy守卫,写操作在发生时即被检查
+  store._strictPaths = collectStrictPaths(store._modules.root, [])
+  store._state = reactive(
+    __DEV__ && (store.strict || store._strictPaths.length)
+      ? guardState(store, { data: state }, null)
+      : { data: state }
+  )
 
   // register the newly created effect scope to the store so that we can
   // dispose the effects when this method runs again in the future.
   store._scope = scope
 
-  // enable strict mode for new state
-  if (store.strict) {
-    enableStrictMode(store)
-  }
-
   if (oldState) {
     if (hot) {
       // dispatch changes in all subscribed watchers
@@ -109,6 +230,62 @@ export function resetStoreState (store, state, hot, reserve = true) {
     }
     oldScope.stop()
   }
+
+  runRegisterHooks(store)
+}
+
+// 按安装顺序(父module先于子module)执行onRegister钩子
+// 钩子抛出的错误只输出警告,不影响之后的钩子以及registerModule的其余步骤
+function runRegisterHooks (store) {
+  const modules = store._pendingModuleHooks
+  store._pendingModuleHooks = []
+  modules.forEach(module => {
+    if (!module.onRegister) return
+    let res
+    try {
+      res = module.onRegister(module.context)
+    } catch (e) {
+      if (__DEV__) {
+        console.warn('[vuex] error in onRegister hook: ')
+        console.error(e)
+      }
+      return
+    }
+    addDisposers(module, res)
+  })
+}
+
+// onRegister可以返回清理函数、清理函数数组,或者resolve为它们的Promise
+function addDisposers (module, res) {
+  if (isPromise(res)) {
+    res.then(disposers => addDisposers(module, disposers)).catch(e => {
+      if (__DEV__) {
+        console.warn('[vuex] error in async onRegister hook: ')
+        console.error(e)
+      }
+    })
+    return
+  }
+  const disposers = (Array.isArray(res) ? res : [res]).filter(fn => typeof fn === 'function')
+  if (module._registered) {
+    module._disposers.push(...disposers)
+  } else {
+    // 异步钩子完成前module已经被卸载
+    disposers.forEach(fn => fn())
+  }
+}
+
+// 卸载module前调用:子module先于父module执行onUnregister,随后调用onRegister返回的清理函数
+export function runUnregisterHooks (module) {
+  module.forEachChild(child => runUnregisterHooks(child))
+  if (!module._registered) return
+  module._registered = false
+  if (module.onUnregister) {
+    module.onUnregister(module.context)
+  }
+  const disposers = module._disposers
+  module._disposers = []
+  disposers.forEach(fn => fn())
 }
 
 export function installModule (store, rootState, path, module, hot) {
@@ -151,21 +328,40 @@ export function installModule (store, rootState, path, module, hot) {
   // 为module创建一个局部上下文，用于当前module调用action等时，不用手动添加上级module的路径前缀
   const local = module.context = makeLocalContext(store, namespace, path)
 
+  // 首次安装的module在getters就绪后(resetStoreState结束时)执行onRegister
+  if (!module._registered) {
+    module._registered = true
+    store._pendingModuleHooks.push(module)
+  }
+
   module.forEachMutation((mutation, key) => {
     // key 是mutation定义时的命名
     const namespacedType = namespace + key
-    registerMutation(store, namespacedType, mutation, local)
+    const handler = mutation.handler || mutation
+    registerMutation(store, namespacedType, handler, local)
+    if (__DEV__ && mutation.schema) {
+      registerSchema(store._mutationSchemas, namespacedType, mutation.schema, path)
+    }
   })
 
   module.forEachAction((action, key) => {
     const type = action.root ? key : namespace + key
     const handler = action.handler || action
     registerAction(store, type, handler, local)
+    registerActionPolicy(store, type, action)
+    if (action.retry) {
+      registerActionRetry(store, type, action.retry)
+    }
+    if (__DEV__ && action.schema) {
+      registerSchema(store._actionSchemas, type, action.schema, path)
+    }
   })
 
   module.forEachGetter((getter, key) => {
     const namespacedType = namespace + key
-    registerGetter(store, namespacedType, getter, local)
+    // 对象形式: { handler, memoize },handler返回按参数缓存结果的函数
+    const handler = getter.handler || getter
+    registerGetter(store, namespacedType, handler, local, getter.memoize)
   })
 
   module.forEachChild((child, key) => {
@@ -201,7 +397,7 @@ function makeLocalContext (store, namespace, path) {
         }
       }
       // 帮助拼接前缀路径
-      return store.dispatch(type, payload)
+      return store.dispatch(type, payload, options)
     },
     // 和dispatch同理
     commit: noNamespace ? store.commit : (_type, _payload, _options) => {
@@ -284,14 +480,30 @@ function registerMutation (store, type, handler, local) {
 function registerAction (store, type, handler, local) {
   const entry = store._actions[type] || (store._actions[type] = [])
   // 这里是action,意味着相同type的action会一并触发,并不会覆盖
-  entry.push(function wrappedActionHandler (payload) {
+  entry.push(function wrappedActionHandler (payload, signal) {
     let res = handler.call(store, {
-      dispatch: local.dispatch,
-      commit: local.commit,
+      // 嵌套dispatch默认继承当前action的signal,取消会向下传递
+      dispatch: signal
+        ? (_type, _payload, _options) => {
+            const args = unifyObjectStyle(_type, _payload, _options)
+            return local.dispatch(args.type, args.payload, Object.assign({ signal }, args.options))
+          }
+        : local.dispatch,
+      // 提交期间记录所在的action,订阅者可以通过store._committingAction得知mutation来自哪个action
+      commit: (_type, _payload, _options) => {
+        const committingAction = store._committingAction
+        store._committingAction = type
+        try {
+          return local.commit(_type, _payload, _options)
+        } finally {
+          store._committingAction = committingAction
+        }
+      },
       getters: local.getters,
       state: local.state,
       rootGetters: store.getters,
-      rootState: store.state
+      rootState: store.state,
+      signal
     }, payload)
     if (!isPromise(res)) {
       res = Promise.resolve(res)
@@ -307,12 +519,60 @@ function registerAction (store, type, handler, local) {
   })
 }
 
+// 注册action的并发策略,策略按type生效,同一type只能声明一次
+function registerActionPolicy (store, type, action) {
+  const previous = store._previousActionPolicies && store._previousActionPolicies[type]
+  const policy = createActionPolicy(type, action, previous)
+  if (!policy) return
+  if (store._actionPolicies[type]) {
+    if (__DEV__) {
+      console.error(`[vuex] duplicate concurrency policy for action type: ${type}`)
+    }
+    return
+  }
+  store._actionPolicies[type] = policy
+}
+
+// 注册action的重试策略
+function registerActionRetry (store, type, retry) {
+  if (__DEV__) {
+    assert(isObject(retry), `retry of action "${type}" should be an object.`)
+    assert(retry.attempts === undefined || retry.attempts >= 1, `retry.attempts of action "${type}" should be at least 1.`)
+  }
+  store._actionRetries[type] = retry
+}
+
+// 注册payload的schema,开发环境下commit/dispatch时校验payload
+function registerSchema (schemas, type, schema, path) {
+  const entry = schemas[type] || (schemas[type] = [])
+  entry.push({ schema, path })
+}
+
+// 校验payload,返回错误信息,kind为mutation或action
+export function checkPayload (schemas, kind, type, payload) {
+  const entry = schemas[type]
+  if (!entry) return null
+  if (objectStylePayloads.has(payload)) {
+    payload = Object.assign({}, payload)
+    delete payload.type
+  }
+  for (let i = 0; i < entry.length; i++) {
+    const { schema, path } = entry[i]
+    const error = validatePayload(schema, payload)
+    if (error) {
+      const where = path.length ? ` in module "${path.join('.')}"` : ''
+      return `invalid payload for ${kind} "${type}"${where}: ${error}.`
+    }
+  }
+  return null
+}
+
 // getter注册链:
 // 首先makeLocalGettersstore._makeLocalGettersCache 每个module局部保存的getters
 // -> registerGetter -> store._wrappedGetters 注册到整个store.getters上去
 
 // 注册getter，保存到全局store上
-function registerGetter (store, type, rawGetter, local) {
+function registerGetter (store, type, rawGetter, local, memoize) {
   if (store._wrappedGetters[type]) {
     if (__DEV__) {
       console.error(`[vuex] duplicate getter key: ${type}`)
@@ -320,7 +580,7 @@ function registerGetter (store, type, rawGetter, local) {
     return
   }
   // 这里的store会在resetStoreState中传入
-  store._wrappedGetters[type] = function wrappedGetter (store) {
+  const wrappedGetter = store._wrappedGetters[type] = function wrappedGetter (store) {
     return rawGetter(
       local.state, // local state
       local.getters, // local getters
@@ -328,15 +588,191 @@ function registerGetter (store, type, rawGetter, local) {
       store.getters // root getters
     )
   }
+  if (memoize) {
+    wrappedGetter.memoize = Object.assign({ max: 100, key: defaultMemoizeKey }, memoize === true ? {} : memoize)
+  }
 }
 
-// 判断是否是通过_withCommit修改,即不是外部直接修改state,通过_committing
-function enableStrictMode (store) {
-  watch(() => store._state.data, () => {
-    if (__DEV__) {
-      assert(store._committing, `do not mutate vuex store state outside mutation handlers.`)
+function defaultMemoizeKey (...args) {
+  return args.length === 1 ? args[0] : JSON.stringify(args)
+}
+
+// 带参数的getter:每组参数对应一个computed,依赖变化时只有相关参数的结果会重新计算
+// 缓存最多保留max组参数,超出时淘汰最久未使用的一组并停止其computed
+function createMemoizedGetter (store, type) {
+  return function memoizedGetter (...args) {
+    // 每次调用时读取当前的缓存与getter定义:store重置后,之前取得的函数仍然可用
+    const memo = store._memoizedGetters[type]
+    const getter = store._wrappedGetters[type]
+    if (!memo || !getter) {
+      if (__DEV__) {
+        console.error(`[vuex] unknown getter: ${type}`)
+      }
+      return
     }
-  }, { deep: true, flush: 'sync' })
+    const { max, key } = getter.memoize
+    const { scope: storeScope, cache } = memo
+    const cacheKey = key(...args)
+    let entry = cache.get(cacheKey)
+    if (entry) {
+      cache.delete(cacheKey)
+    } else {
+      // 作为store的effect scope的子scope创建,store重置时一并停止
+      const scope = storeScope.run(() => effectScope())
+      entry = { scope, value: scope.run(() => createMemoizedComputed(store, type, () => getter(store)(...args))) }
+      if (cache.size >= max) {
+        const oldest = cache.keys().next().value
+        cache.get(oldest).scope.stop()
+        cache.delete(oldest)
+      }
+    }
+    cache.set(cacheKey, entry)
+    return entry.value.value
+  }
+}
+
+function createMemoizedComputed (store, type, fn) {
+  if (__DEV__) {
+    const { run, options } = instrumentGetter(store, type, fn)
+    return registerGetterComputed(store, type, computed(run, options))
+  }
+  return computed(fn)
+}
+
+// 严格模式:判断是否是通过_withCommit修改,即不是外部直接修改state,通过_committing
+// 每个plain object/array在第一次被访问时才会创建守卫Proxy,开销只与访问过的state有关,与state大小无关
+// Date、Map、Set等内置类型以及markRaw的对象不会被守卫
+function guardState (store, target, path) {
+  const guards = store._strictGuards || (store._strictGuards = new WeakMap())
+  const raws = store._strictRaws || (store._strictRaws = new WeakMap())
+  // path为null表示_state容器本身,其data属性即为根state
+  const childPath = key => path === null ? [] : path.concat(key)
+
+  let guard = guards.get(target)
+  if (!guard) {
+    guard = new Proxy(target, {
+      get (obj, key) {
+        const value = Reflect.get(obj, key)
+        if (typeof key === 'symbol' || !isGuardable(value) || raws.has(value)) {
+          return value
+        }
+        return guardState(store, value, childPath(key))
+      },
+      set (obj, key, value) {
+        assertCommitting(store, childPath(key))
+        // 保存原始对象,避免守卫Proxy被写入state
+        return Reflect.set(obj, key, raws.has(value) ? raws.get(value) : value)
+      },
+      deleteProperty (obj, key) {
+        assertCommitting(store, childPath(key))
+        return Reflect.deleteProperty(obj, key)
+      }
+    })
+    guards.set(target, guard)
+    raws.set(guard, target)
+  }
+  return guard
+}
+
+function isGuardable (value) {
+  if (!isObject(value) || value.__v_skip || isProxy(value)) {
+    return false
+  }
+  const proto = Object.getPrototypeOf(value)
+  return Array.isArray(value) || proto === Object.prototype || proto === null
+}
+
+// 在写操作发生时直接抛错,错误信息包含被修改的state路径,错误栈即为修改发生的位置
+function assertCommitting (store, path) {
+  if (store._committing) return
+  if (store.strict || store._strictPaths.some(strictPath => strictPath.every((key, i) => path[i] === key))) {
+    // 不能在Proxy的trap中抛出:Vue的数组方法(push、splice等)在pauseTracking/startBatch后没有try/finally,
+    // 抛错会使整个应用的响应式失效。创建Error对象以保留这次写入的调用栈
+    console.error(new Error(`[vuex] do not mutate vuex store state outside mutation handlers (mutated "${path.length ? path.join('.') : '<root>'}").`))
+  }
+}
+
+// 收集声明了strict的module路径,用于按module开启严格模式
+function collectStrictPaths (module, path) {
+  const paths = module.strict ? [path] : []
+  module.forEachChild((child, key) => {
+    paths.push(...collectStrictPaths(child, path.concat(key)))
+  })
+  return paths
+}
+
+// 让每个module的state引用指向state树中对应的对象,state树被整体替换后调用
+export function syncModuleState (module, state) {
+  module.state = state
+  module.forEachChild((child, key) => {
+    if (isObject(state[key])) {
+      syncModuleState(child, state[key])
+    }
+  })
+}
+
+// 根据module定义递归创建初始state,包括动态注册的子module
+export function createModuleState (module) {
+  const state = module.createState()
+  module.forEachChild((child, key) => {
+    state[key] = createModuleState(child)
+  })
+  module.state = state
+  return state
+}
+
+// 将module定义中新增的state字段合并进当前state,已有的字段保持不变
+export function mergeModuleState (module, state) {
+  const initialState = module.createState()
+  Object.keys(initialState).forEach(key => {
+    if (!(key in state) && !module.hasChild(key)) {
+      state[key] = initialState[key]
+    }
+  })
+  module.forEachChild((child, key) => {
+    if (isObject(state[key])) {
+      mergeModuleState(child, state[key])
+    }
+  })
+}
+
+// 已注册的module在新state树中缺失时,使用当前的state补全
+export function fillModuleState (module, state, currentState) {
+  module.forEachChild((child, key) => {
+    if (!isObject(state[key])) {
+      state[key] = currentState[key]
+    } else {
+      fillModuleState(child, state[key], currentState[key])
+    }
+  })
+}
+
+// 将hydrate时尚未注册的module的state合并进新注册的module
+export function applyHydratedState (store, path, module) {
+  const hydrated = store._hydratedState && getByPath(store._hydratedState, path)
+  if (!isObject(hydrated)) return
+  mergeHydratedState(module, hydrated)
+  // 移除hydrate时遗留在state树中的数据,避免installModule时的同名覆盖警告
+  const parentState = getByPath(store.state, path.slice(0, -1))
+  const key = path[path.length - 1]
+  if (isObject(parentState) && key in parentState) {
+    store._withCommit(() => {
+      delete parentState[key]
+    })
+  }
+}
+
+function mergeHydratedState (module, hydrated) {
+  Object.keys(hydrated).forEach(key => {
+    const child = module.getChild(key)
+    if (child) {
+      if (isObject(hydrated[key])) {
+        mergeHydratedState(child, hydrated[key])
+      }
+    } else {
+      module.state[key] = hydrated[key]
+    }
+  })
 }
 
 export function getNestedState (state, path) {
@@ -349,6 +785,9 @@ export function unifyObjectStyle (type, payload, options) {
     options = payload
     payload = type
     type = type.type
+    if (__DEV__) {
+      objectStylePayloads.add(payload)
+    }
   }
 
   if (__DEV__) {
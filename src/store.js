@@ -1,15 +1,34 @@
-import { watch } from 'vue'
+import { reactive, watch } from 'vue'
 import { storeKey } from './injectKey'
 import { addDevtools } from './plugins/devtool'
 import ModuleCollection from './module/module-collection'
-import { assert } from './util'
+import { retryAction } from './action-policy'
+import { assert, isObject, isPromise } from './util'
+import { clone } from './clone'
+import { inspectGetter, unusedGetters } from './inspect'
+import { builtinSerializers, reviveState, serializeState } from './serialize'
 import {
+  applyHydratedState,
+  applyMiddlewares,
+  checkPayload,
+  createModuleState,
+  fillModuleState,
   genericSubscribe,
+  getAbortReason,
   getNestedState,
   installModule,
+  mergeModuleState,
+  notifyActionSubscribers,
+  notifyModuleSubscribers,
+  notifySubscribers,
   resetStore,
   resetStoreState,
-  unifyObjectStyle
+  runUnregisterHooks,
+  trackPendingAction,
+  syncModuleState,
+  unifyObjectStyle,
+  RESET_MUTATION,
+  TRANSACTION_MUTATION
 } from './store-util'
 
 export function createStore (options) {
@@ -26,20 +45,45 @@ export class Store {
     const {
       plugins = [],
       strict = false,
-      devtools
+      devtools,
+      serializers = [],
+      onActionError
     } = options
 
     // store internal state
     this._committing = false
     this._actions = Object.create(null)
+    this._actionPolicies = Object.create(null)
+    this._actionRetries = Object.create(null)
     this._actionSubscribers = []
+    // 每个action的执行状态,见store.actionStatus
+    this._actionStatus = reactive(Object.create(null))
+    // 执行中(包括被并发策略延迟、等待module加载)的action,以及等待它们全部完成的whenIdle回调
+    this._pendingActions = new Set()
+    this._idleWaiters = []
     this._mutations = Object.create(null)
+    // 开发环境下用于校验payload的schema
+    this._mutationSchemas = Object.create(null)
+    this._actionSchemas = Object.create(null)
     this._wrappedGetters = Object.create(null)
+    // 开发环境下getter的依赖与计算统计,见store.inspectGetter
+    this._getterStats = Object.create(null)
+    this._getterComputeds = new WeakMap()
     // 给传递的选项中的每一个module创建module类进行管理,如果选项存在modules属性,会递归创建并挂在父module的_children属性下
     this._modules = new ModuleCollection(options)
     // 每个module的命名路径与module的映射表:{ 'a/b/moduleA/' : moduleA }
     this._modulesNamespaceMap = Object.create(null)
     this._subscribers = []
+    this._middlewares = []
+    // 当前事务中已提交的mutation,不在事务中时为null
+    this._transaction = null
+    // 正在通过action上下文的commit提交mutation的action type
+    this._committingAction = null
+    this._moduleSubscribers = []
+    // 等待执行onRegister钩子的module
+    this._pendingModuleHooks = []
+    // 正在异步加载的module: { 'a/b': { path, namespace, queue, promise } }
+    this._lazyModules = Object.create(null)
     // 报错每个module
     this._makeLocalGettersCache = Object.create(null)
 
@@ -50,13 +94,19 @@ export class Store {
     this._scope = null
 
     this._devtools = devtools
+    // action失败时的全局处理函数,可以恢复、重新抛出或转换错误
+    this._onActionError = onActionError
+
+    // SSR序列化时支持的非JSON类型,以及hydrate得到的state(用于之后注册的module)
+    this._serializers = builtinSerializers.concat(serializers)
+    this._hydratedState = null
 
     // bind commit and dispatch to self
     // 绑定 dispatch 和 commit
     const store = this
     const { dispatch, commit } = this
-    this.dispatch = function boundDispatch (type, payload) {
-      return dispatch.call(store, type, payload)
+    this.dispatch = function boundDispatch (type, payload, options) {
+      return dispatch.call(store, type, payload, options)
     }
     this.commit = function boundCommit (type, payload, options) {
       return commit.call(store, type, payload, options)
@@ -113,96 +163,61 @@ export class Store {
       options
     } = unifyObjectStyle(_type, _payload, _options)
 
-    const mutation = { type, payload }
-    const entry = this._mutations[type]
-    if (!entry) {
-      if (__DEV__) {
-        console.error(`[vuex] unknown mutation type: ${type}`)
-      }
-      return
-    }
-    // 会标识是否正在提交状态的调用
-    this._withCommit(() => {
-      entry.forEach(function commitIterator (handler) {
-        handler(payload)
-      })
-    })
-
-    this._subscribers
-      .slice() // shallow copy to prevent iterator invalidation if subscriber synchronously calls unsubscribe
-      .forEach(sub => sub(mutation, this.state))
-
-    if (
-      __DEV__ &&
-      options && options.silent
-    ) {
-      console.warn(
-        `[vuex] mutation type: ${type}. Silent option has been removed. ` +
-        'Use the filter functionality in the vue-devtools'
-      )
-    }
+    // 先经过store.use()注册的中间件,中间件可以修改payload或直接返回而不提交
+    return this._middlewares.length
+      ? applyMiddlewares(this, { kind: 'commit', type, payload, options }, ctx => this._commit(ctx.type, ctx.payload, ctx.options))
+      : this._commit(type, payload, options)
   }
 
-  dispatch (_type, _payload) {
+  dispatch (_type, _payload, _options) {
     // check object-style dispatch
     // 统一格式化，兼容dispath的多种格式
     const {
       type,
-      payload
-    } = unifyObjectStyle(_type, _payload)
+      payload,
+      options
+    } = unifyObjectStyle(_type, _payload, _options)
 
-    const action = { type, payload }
-    const entry = this._actions[type]
-    if (!entry) {
-      if (__DEV__) {
-        console.error(`[vuex] unknown action type: ${type}`)
-      }
-      return
+    return this._middlewares.length
+      ? applyMiddlewares(this, { kind: 'dispatch', type, payload, options }, ctx => this._dispatch(ctx.type, ctx.payload, ctx.options))
+      : this._dispatch(type, payload, options)
+  }
+
+  // 注册包裹commit与dispatch的中间件: middleware(context, next)
+  // context为{ kind, type, payload, options, store },调用next()进入下一个中间件并返回其结果
+  use (middleware) {
+    return genericSubscribe(middleware, this._middlewares)
+  }
+
+  // 将fn中的多次commit作为一个整体:订阅者只会收到一次type为TRANSACTION_MUTATION的合并通知,
+  // fn或任意mutation抛错时state回滚到事务开始前的快照。fn需要是同步函数
+  transaction (fn) {
+    // 嵌套的事务合并进外层事务
+    if (this._transaction) {
+      return fn()
     }
 
+    const snapshot = clone(this.state, { skipRaw: true })
+    const mutations = this._transaction = []
+    let res
     try {
-      this._actionSubscribers
-        .slice() // shallow copy to prevent iterator invalidation if subscriber synchronously calls unsubscribe
-        .filter(sub => sub.before)
-        .forEach(sub => sub.before(action, this.state))
+      res = fn()
     } catch (e) {
-      if (__DEV__) {
-        console.warn(`[vuex] error in before action subscribers: `)
-        console.error(e)
-      }
+      this._transaction = null
+      this._withCommit(() => {
+        this._state.data = snapshot
+      })
+      throw e
     }
-    // 在registerAction中已经将结果Promise化了
-    const result = entry.length > 1
-      ? Promise.all(entry.map(handler => handler(payload)))
-      : entry[0](payload)
+    this._transaction = null
 
-    return new Promise((resolve, reject) => {
-      result.then(res => {
-        try {
-          this._actionSubscribers
-            .filter(sub => sub.after)
-            .forEach(sub => sub.after(action, this.state))
-        } catch (e) {
-          if (__DEV__) {
-            console.warn(`[vuex] error in after action subscribers: `)
-            console.error(e)
-          }
-        }
-        resolve(res)
-      }, error => {
-        try {
-          this._actionSubscribers
-            .filter(sub => sub.error)
-            .forEach(sub => sub.error(action, this.state, error))
-        } catch (e) {
-          if (__DEV__) {
-            console.warn(`[vuex] error in error action subscribers: `)
-            console.error(e)
-          }
-        }
-        reject(error)
-      })
-    })
+    if (__DEV__ && isPromise(res)) {
+      console.warn('[vuex] store.transaction() expects a synchronous function, commits made after it returns are not part of the transaction.')
+    }
+    if (mutations.length) {
+      notifySubscribers(this, { type: TRANSACTION_MUTATION, payload: mutations })
+    }
+    return res
   }
 
   subscribe (fn, options) {
@@ -214,6 +229,58 @@ export class Store {
     return genericSubscribe(subs, this._actionSubscribers, options)
   }
 
+  // 返回action的响应式执行状态:执行中的数量、最近一次的错误与最近一次成功的时间
+  actionStatus (type) {
+    if (!this._actionStatus[type]) {
+      this._actionStatus[type] = {
+        pending: 0,
+        error: null,
+        resolvedAt: null,
+        get loading () {
+          return this.pending > 0
+        }
+      }
+    }
+    return this._actionStatus[type]
+  }
+
+  // 执行中的action列表: [{ type, payload }]
+  get pendingActions () {
+    return Array.from(this._pendingActions)
+  }
+
+  // 所有执行中的action(包括其中嵌套dispatch的action)都结束后resolve,
+  // 超过timeout毫秒仍未结束时reject,错误的actions属性为仍在执行的action列表
+  whenIdle ({ timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this._pendingActions.size) {
+        resolve()
+        return
+      }
+      let timer = null
+      const waiter = () => {
+        clearTimeout(timer)
+        resolve()
+      }
+      this._idleWaiters.push(waiter)
+      if (timeout) {
+        timer = setTimeout(() => {
+          this._idleWaiters.splice(this._idleWaiters.indexOf(waiter), 1)
+          const actions = this.pendingActions
+          const error = new Error(`[vuex] store did not become idle within ${timeout}ms, pending actions: ${actions.map(action => action.type).join(', ')}`)
+          error.actions = actions
+          reject(error)
+        }, timeout)
+      }
+    })
+  }
+
+  // 订阅module的动态注册与卸载,fn为函数时视为register回调
+  subscribeModule (fn, options) {
+    const subs = typeof fn === 'function' ? { register: fn } : fn
+    return genericSubscribe(subs, this._moduleSubscribers, options)
+  }
+
   watch (getter, cb, options) {
     if (__DEV__) {
       assert(typeof getter === 'function', `store.watch only accepts a function.`)
@@ -227,7 +294,57 @@ export class Store {
     })
   }
 
+  // 序列化state,输出的字符串可以直接内联到<script>标签中
+  serialize () {
+    return serializeState(this.state, this._serializers)
+  }
+
+  // 用serialize()的输出替换state,payload中尚未注册的module的state会在registerModule时使用
+  hydrate (payload) {
+    const state = reviveState(payload, this._serializers)
+    if (__DEV__) {
+      assert(isObject(state), 'hydrate payload must be the output of store.serialize().')
+    }
+    this._hydratedState = state
+    // 已注册但payload中缺失的module保留当前的state
+    fillModuleState(this._modules.root, state, this.state)
+    this._withCommit(() => {
+      this._state.data = state
+    })
+    syncModuleState(this._modules.root, state)
+  }
+
+  // 将path下的module(默认为整个store)的state重置为module定义中的初始state
+  resetState (path = []) {
+    if (typeof path === 'string') path = [path]
+
+    if (__DEV__) {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+      assert(!path.length || this.hasModule(path), `module "${path.join('.')}" is not registered.`)
+    }
+
+    const state = createModuleState(this._modules.get(path))
+    this._withCommit(() => {
+      if (path.length) {
+        getNestedState(this.state, path.slice(0, -1))[path[path.length - 1]] = state
+      } else {
+        this._state.data = state
+      }
+    })
+
+    const mutation = { type: RESET_MUTATION, payload: { path } }
+    if (this._transaction) {
+      this._transaction.push(mutation)
+    } else {
+      notifySubscribers(this, mutation)
+    }
+  }
+
   registerModule (path, rawModule, options = {}) {
+    // rawModule为Promise或返回Promise的函数时按异步module注册
+    if (isPromise(rawModule) || typeof rawModule === 'function') {
+      return this.registerLazyModule(path, rawModule, options)
+    }
     if (typeof path === 'string') path = [path]
 
     if (__DEV__) {
@@ -236,9 +353,65 @@ export class Store {
     }
 
     this._modules.register(path, rawModule)
-    installModule(this, this.state, path, this._modules.get(path), options.preserveState)
+    const module = this._modules.get(path)
+    if (options.preserveState) {
+      module.state = getNestedState(this.state, path)
+    } else {
+      applyHydratedState(this, path, module)
+    }
+    installModule(this, this.state, path, module, options.preserveState)
     // reset store to update getters...
     resetStoreState(this, this.state)
+
+    notifyModuleSubscribers(this, 'register', path)
+  }
+
+  // 注册异步加载的module,loader为返回module(或其ES module)的Promise,或返回该Promise的函数。
+  // 加载完成前提交到该module命名空间的commit与dispatch会被缓存,加载后按顺序重放
+  registerLazyModule (path, loader, options = {}) {
+    if (typeof path === 'string') path = [path]
+
+    if (__DEV__) {
+      assert(Array.isArray(path), `module path must be a string or an Array.`)
+      assert(path.length > 0, 'cannot register the root module by using registerLazyModule.')
+      assert(path.length === 1 || this._modules.isRegistered(path.slice(0, -1)), `parent module of "${path.join('/')}" is not registered.`)
+    }
+
+    const key = path.join('/')
+    if (this._lazyModules[key]) {
+      return this._lazyModules[key].promise
+    }
+
+    const lazy = this._lazyModules[key] = {
+      path,
+      namespace: this._modules.getNamespace(path.slice(0, -1)) + path[path.length - 1] + '/',
+      queue: []
+    }
+    const flush = error => {
+      delete this._lazyModules[key]
+      lazy.queue.forEach(call => error ? call.reject(error) : call.replay())
+    }
+
+    lazy.promise = Promise.resolve()
+      .then(() => typeof loader === 'function' ? loader() : loader)
+      .then(res => {
+        // 加载完成前已被unregisterModule取消
+        if (this._lazyModules[key] !== lazy) return
+        // 注册失败(如module定义不合法)时同样结束加载状态,缓存的调用全部失败,之后可以重新注册
+        try {
+          this.registerModule(path, (res && res.default) || res, options)
+        } catch (error) {
+          flush(error)
+          throw error
+        }
+        flush()
+      }, error => {
+        if (this._lazyModules[key] === lazy) {
+          flush(error)
+        }
+        throw error
+      })
+    return lazy.promise
   }
 
   unregisterModule (path) {
@@ -248,35 +421,268 @@ export class Store {
       assert(Array.isArray(path), `module path must be a string or an Array.`)
     }
 
+    // 仍在加载中的module直接取消,缓存的调用全部失败
+    const lazy = this._lazyModules[path.join('/')]
+    if (lazy) {
+      delete this._lazyModules[path.join('/')]
+      const error = new Error(`[vuex] module "${path.join('/')}" was unregistered before it loaded.`)
+      lazy.queue.forEach(call => call.reject(error))
+      return
+    }
+
+    // 钩子在state移除前执行,此时仍可以访问module的state与getters
+    const module = this._modules.isRegistered(path) && this._modules.get(path)
+    if (module && module.runtime) {
+      runUnregisterHooks(module)
+    }
     this._modules.unregister(path)
     this._withCommit(() => {
       const parentState = getNestedState(this.state, path.slice(0, -1))
       delete parentState[path[path.length - 1]]
     })
     resetStore(this)
+
+    notifyModuleSubscribers(this, 'unregister', path)
   }
 
-  hasModule (path) {
+  // includeLoading: 正在异步加载的module也视为已注册
+  hasModule (path, { includeLoading = false } = {}) {
     if (typeof path === 'string') path = [path]
 
     if (__DEV__) {
       assert(Array.isArray(path), `module path must be a string or an Array.`)
     }
 
-    return this._modules.isRegistered(path)
+    return this._modules.isRegistered(path) ||
+      (includeLoading && !!this._lazyModules[path.join('/')])
   }
 
-  hotUpdate (newOptions) {
+  // 是否正在异步加载path对应的module
+  isModuleLoading (path) {
+    if (typeof path === 'string') path = [path]
+    return !!this._lazyModules[path.join('/')]
+  }
+
+  // replace: newOptions为完整的配置,配置中删除的module与handler会被移除
+  // mergeState: 将module定义中新增的state字段合并进当前state
+  hotUpdate (newOptions, { replace = false, mergeState = false } = {}) {
     // 热更新module配置
-    this._modules.update(newOptions)
+    const { added, removed, removedModules } = this._modules.update(newOptions, replace)
+    // 被移除的module执行卸载钩子,保留下来的module不会重复执行注册钩子
+    removedModules.forEach(runUnregisterHooks)
+
+    this._withCommit(() => {
+      removed.forEach(path => {
+        const parentState = getNestedState(this.state, path.slice(0, -1))
+        delete parentState[path[path.length - 1]]
+      })
+      // 新增的module使用其初始state
+      added.forEach(path => {
+        const parentState = getNestedState(this.state, path.slice(0, -1))
+        parentState[path[path.length - 1]] = createModuleState(this._modules.get(path))
+      })
+      if (mergeState) {
+        mergeModuleState(this._modules.root, this.state)
+      }
+    })
+
     // 刷新store状态,重新初始化响应式
     resetStore(this, true)
+
+    removed.forEach(path => notifyModuleSubscribers(this, 'unregister', path))
+    added.forEach(path => notifyModuleSubscribers(this, 'register', path))
+  }
+
+  // 返回getter最近一次计算依赖的state路径与其他getter,以及计算与读取的次数,仅开发环境可用
+  inspectGetter (type) {
+    if (!__DEV__) {
+      return null
+    }
+    return inspectGetter(this, type)
+  }
+
+  // 返回注册后从未被读取过的getter,仅开发环境可用
+  unusedGetters () {
+    if (!__DEV__) {
+      return []
+    }
+    return unusedGetters(this)
   }
+
   // 执行回调并标记提交状态
   _withCommit (fn) {
     const committing = this._committing
     this._committing = true
-    fn()
-    this._committing = committing
+    try {
+      fn()
+    } finally {
+      this._committing = committing
+    }
+  }
+
+  // 实际执行commit,中间件执行完后调用
+  _commit (type, payload, options) {
+    const mutation = { type, payload }
+    const entry = this._mutations[type]
+    if (!entry) {
+      // 目标module仍在加载中时,加载完成后再提交
+      const lazy = this._findLazyModule(type)
+      if (lazy) {
+        lazy.queue.push({
+          replay: () => this._commit(type, payload, options),
+          reject: error => {
+            if (__DEV__) {
+              console.error(`[vuex] mutation "${type}" was dropped: ${error.message}`)
+            }
+          }
+        })
+        return
+      }
+      if (__DEV__) {
+        console.error(`[vuex] unknown mutation type: ${type}`)
+      }
+      return
+    }
+    if (__DEV__) {
+      const error = checkPayload(this._mutationSchemas, 'mutation', type, payload)
+      assert(!error, error)
+    }
+    // 会标识是否正在提交状态的调用
+    this._withCommit(() => {
+      entry.forEach(function commitIterator (handler) {
+        handler(payload)
+      })
+    })
+
+    // 事务中的mutation会在事务结束后合并通知订阅者
+    if (this._transaction) {
+      this._transaction.push(mutation)
+    } else {
+      notifySubscribers(this, mutation)
+    }
+
+    if (
+      __DEV__ &&
+      options && options.silent
+    ) {
+      console.warn(
+        `[vuex] mutation type: ${type}. Silent option has been removed. ` +
+        'Use the filter functionality in the vue-devtools'
+      )
+    }
+  }
+
+  // 实际执行dispatch,中间件执行完后调用
+  _dispatch (type, payload, options) {
+    if (!this._actions[type]) {
+      // 目标module仍在加载中时,加载完成后再执行,返回的Promise以该次执行的结果settle
+      const lazy = this._findLazyModule(type)
+      if (lazy) {
+        return trackPendingAction(this, { type, payload }, new Promise((resolve, reject) => {
+          lazy.queue.push({
+            replay: () => Promise.resolve(this._dispatch(type, payload, options)).then(resolve, reject),
+            reject
+          })
+        }))
+      }
+      if (__DEV__) {
+        console.error(`[vuex] unknown action type: ${type}`)
+      }
+      return
+    }
+    if (__DEV__) {
+      const error = checkPayload(this._actionSchemas, 'action', type, payload)
+      if (error) {
+        return Promise.reject(new Error(`[vuex] ${error}`))
+      }
+    }
+
+    // 通过 options.signal (AbortSignal) 取消action,取消后返回的Promise会以abort reason reject
+    const signal = options && options.signal
+    const policy = this._actionPolicies[type]
+    // 声明了并发策略(concurrency/debounce/throttle)的action由策略决定何时、是否执行
+    const result = policy
+      ? policy(payload, signal, (payload, signal) => this._invokeAction(type, payload, signal))
+      : this._invokeAction(type, payload, signal)
+    return trackPendingAction(this, { type, payload }, result)
+  }
+
+  // 查找命名空间匹配type且仍在加载中的module
+  _findLazyModule (type) {
+    for (const key in this._lazyModules) {
+      const lazy = this._lazyModules[key]
+      if (type.indexOf(lazy.namespace) === 0) {
+        return lazy
+      }
+    }
+    return null
+  }
+
+  // 执行action并通知action订阅者,返回的Promise在action结束或被取消时settle
+  _invokeAction (type, payload, signal) {
+    const action = { type, payload }
+    const entry = this._actions[type]
+    // 被策略延迟执行的action,其module可能已经被卸载
+    if (!entry) {
+      return Promise.reject(new Error(`[vuex] unknown action type: ${type}`))
+    }
+    if (signal && signal.aborted) {
+      notifyActionSubscribers(this, 'cancel', action, getAbortReason(signal))
+      return Promise.reject(getAbortReason(signal))
+    }
+
+    const status = this.actionStatus(type)
+    status.pending++
+    status.error = null
+    notifyActionSubscribers(this, 'before', action)
+    // registerAction已经将结果Promise化,handler同步抛出的错误在这里转为rejection,保证每次pending++都会经过settle
+    const run = () => new Promise(resolve => resolve(entry.length > 1
+      ? Promise.all(entry.map(handler => handler(payload, signal)))
+      : entry[0](payload, signal)))
+    // 声明了retry的action失败后按策略重试,每次重试都会通知retry订阅者
+    const retry = this._actionRetries[type]
+    const result = retry
+      ? retryAction(retry, run, signal, (error, attempt) => notifyActionSubscribers(this, 'retry', action, { error, attempt }))
+      : run()
+
+    return new Promise((resolve, reject) => {
+      let settled = false
+      const settle = (hook, fn, value) => {
+        if (settled) return
+        settled = true
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+        status.pending--
+        if (hook === 'after') {
+          status.resolvedAt = Date.now()
+        } else if (hook === 'error') {
+          status.error = value
+        }
+        notifyActionSubscribers(this, hook, action, value)
+        fn(value)
+      }
+      const onAbort = () => settle('cancel', reject, getAbortReason(signal))
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort)
+      }
+      result.then(res => {
+        settle('after', resolve, res)
+      }, error => {
+        if (signal && signal.aborted) {
+          settle('cancel', reject, error)
+        } else if (this._onActionError) {
+          // 全局错误处理:返回值作为action的结果,抛出的错误作为新的rejection
+          Promise.resolve().then(() => this._onActionError(error, action, this)).then(res => {
+            settle('after', resolve, res)
+          }, err => {
+            settle('error', reject, err)
+          })
+        } else {
+          settle('error', reject, error)
+        }
+      })
+    })
   }
 }
@@ -0,0 +1,5 @@
+import { createTestStore } from './testing'
+
+export default {
+  createTestStore
+}
@@ -0,0 +1,128 @@
+import { createStore } from './store'
+import { trackPendingAction } from './store-util'
+import { isEqual, isObject } from './util'
+
+/**
+ * Create a store for unit tests, the `vuex/testing` entry point. Like the main
+ * index it has ESM (testing.js), CommonJS (testing.cjs.js) and Node ESM
+ * (testing.mjs) entries, and is kept out of the main index so that test helpers
+ * are not bundled into applications.
+ * Every commit and dispatch is recorded with its payload, and mutations or actions
+ * can be stubbed. Stubs live in a `store.use` middleware, so they survive
+ * registerModule, unregisterModule and hotUpdate rebuilding the registries.
+ *
+ * `stubActions` / `stubMutations` is `true` to stub every type, an Array of types,
+ * or an Object mapping types to a stub. An action stub is a function called with
+ * the payload, whose return value becomes the result of dispatch, or any other
+ * value to resolve with. A mutation stub is a function called with the payload.
+ *
+ * @param {Object} [options] - Store options, as for createStore
+ * @param {Object} [testOptions]
+ * @param {Boolean|Array|Object} [testOptions.stubActions]
+ * @param {Boolean|Array|Object} [testOptions.stubMutations]
+ * @return {Store}
+ */
+export function createTestStore (options = {}, { stubActions = false, stubMutations = false } = {}) {
+  const store = createStore(options)
+  const actionStubs = normalizeStubs(stubActions)
+  const mutationStubs = normalizeStubs(stubMutations)
+
+  store.commits = []
+  store.dispatches = []
+
+  store.use((context, next) => {
+    const { kind, type, payload } = context
+    if (kind === 'commit') {
+      store.commits.push({ type, payload })
+      const stub = findStub(mutationStubs, type)
+      if (stub) {
+        if (typeof stub.value === 'function') {
+          stub.value(payload)
+        }
+        return
+      }
+      return next()
+    }
+
+    store.dispatches.push({ type, payload })
+    const stub = findStub(actionStubs, type)
+    if (stub) {
+      // 被替换的action同样计入pendingActions,flushActions会等待它完成
+      const result = new Promise(resolve => {
+        resolve(typeof stub.value === 'function' ? stub.value(payload) : stub.value)
+      })
+      return trackPendingAction(store, { type, payload }, result)
+    }
+    return next()
+  })
+
+  // 替换单个action,impl为函数时以其返回值作为dispatch的结果,否则直接resolve该值
+  store.stubAction = (type, impl) => {
+    actionStubs.types[type] = { value: impl }
+  }
+
+  store.stubMutation = (type, impl) => {
+    mutationStubs.types[type] = { value: impl }
+  }
+
+  // 恢复被替换的action或mutation
+  store.restore = type => {
+    delete actionStubs.types[type]
+    delete mutationStubs.types[type]
+  }
+
+  store.expectCommitted = function (type, payload) {
+    expectRecorded(store.commits, 'commit', type, arguments.length > 1, payload)
+  }
+
+  store.expectDispatched = function (type, payload) {
+    expectRecorded(store.dispatches, 'dispatch', type, arguments.length > 1, payload)
+  }
+
+  store.clearRecords = () => {
+    store.commits.length = 0
+    store.dispatches.length = 0
+  }
+
+  // 等待所有执行中的action(包括被替换的action)完成
+  store.flushActions = options => store.whenIdle(options)
+
+  return store
+}
+
+// 统一为 { all, types: { type: { value } } } 的格式
+function normalizeStubs (stubs) {
+  const res = { all: stubs === true, types: Object.create(null) }
+  if (Array.isArray(stubs)) {
+    stubs.forEach(type => {
+      res.types[type] = { value: undefined }
+    })
+  } else if (isObject(stubs)) {
+    Object.keys(stubs).forEach(type => {
+      res.types[type] = { value: stubs[type] }
+    })
+  }
+  return res
+}
+
+function findStub (stubs, type) {
+  return stubs.types[type] || (stubs.all ? { value: undefined } : null)
+}
+
+function expectRecorded (records, kind, type, checkPayload, payload) {
+  const matched = records.filter(record => record.type === type)
+  if (!matched.length) {
+    const recorded = records.map(record => record.type).join(', ') || 'none'
+    throw new Error(`[vuex] expected ${kind} "${type}" but it was not called, recorded: ${recorded}`)
+  }
+  if (checkPayload && !matched.some(record => isEqual(record.payload, payload))) {
+    throw new Error(
+      `[vuex] expected ${kind} "${type}" with payload ${stringify(payload)}, ` +
+      `but got ${matched.map(record => stringify(record.payload)).join(', ')}`
+    )
+  }
+}
+
+function stringify (value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value)
+}
@@ -0,0 +1,10 @@
+import Testing from '../dist/testing.cjs.js'
+
+const {
+  createTestStore
+} = Testing
+
+export {
+  Testing as default,
+  createTestStore
+}
@@ -1,62 +1,52 @@
 /**
- * Get the first item that pass the test
- * by second argument function
- *
- * @param {Array} list
- * @param {Function} f
- * @return {*}
+ * forEach for object
  */
-export function find (list, f) {
-  return list.filter(f)[0]
+export function forEachValue (obj, fn) {
+  Object.keys(obj).forEach(key => fn(obj[key], key))
 }
 
 /**
- * Deep copy the given object considering circular structure.
- * This function caches all nested objects and its copies.
- * If it detects circular structure, use cached copy to avoid infinite loop.
- *
- * @param {*} obj
- * @param {Array<Object>} cache
- * @return {*}
+ * Normalize a state path given as an Array of keys or a dot-separated String.
+ * normalizePath('a.b') => ['a', 'b']
  */
-export function deepCopy (obj, cache = []) {
-  // just return if obj is immutable value
-  if (obj === null || typeof obj !== 'object') {
-    return obj
-  }
-
-  // if obj is hit, it is in circular structure
-  const hit = find(cache, c => c.original === obj)
-  if (hit) {
-    return hit.copy
-  }
-
-  const copy = Array.isArray(obj) ? [] : {}
-  // put the copy into cache at first
-  // because we want to refer it in recursive deepCopy
-  cache.push({
-    original: obj,
-    copy
-  })
-
-  Object.keys(obj).forEach(key => {
-    copy[key] = deepCopy(obj[key], cache)
-  })
-
-  return copy
+export function normalizePath (path) {
+  return typeof path === 'string' ? path.split('.').filter(Boolean) : path
 }
 
 /**
- * forEach for object
+ * Get the value at the given path, returns undefined if any segment is missing.
  */
-export function forEachValue (obj, fn) {
-  Object.keys(obj).forEach(key => fn(obj[key], key))
+export function getByPath (obj, path) {
+  return path.reduce((value, key) => isObject(value) ? value[key] : undefined, obj)
 }
 
 export function isObject (obj) {
   return obj !== null && typeof obj === 'object'
 }
 
+/**
+ * Deep equality of plain objects, arrays and the built-in types handled by clone
+ * (Date, RegExp, Map and Set). Objects with different prototypes are never equal.
+ */
+export function isEqual (a, b) {
+  if (a === b) return true
+  if (!isObject(a) || !isObject(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false
+  }
+  if (a instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+  if (a instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags
+  }
+  if (a instanceof Map || a instanceof Set) {
+    return a.size === b.size && isEqual(Array.from(a), Array.from(b))
+  }
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]))
+}
+
 export function isPromise (val) {
   return val && typeof val.then === 'function'
 }